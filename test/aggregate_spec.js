@@ -0,0 +1,51 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+const by = (col) => ({ sheetScope: "", sheetScopeType: "str", col, colType: "str" });
+
+describe("aggregate", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [
+    { c: "A", qty: "2", who: "x" }, { c: "B", qty: 3, who: "y" }, { c: "A", qty: 5, who: "y" }, { c: "A", qty: "", who: "x" }
+  ];
+
+  it("groups rows per sheet and computes the functions", async function() {
+    const res = await run({
+      aggregateEnabled: true,
+      aggregateGroupBy: [by("c")],
+      aggregateList: [
+        { fn: "count", as: "rows" }, { col: "qty", fn: "sum" }, { col: "qty", fn: "avg" }, { col: "qty", fn: "max" },
+        { col: "who", fn: "distinctCount" }, { col: "who", fn: "concat", sep: "/" }
+      ]
+    }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [
+      { c: "A", rows: 3, sum_qty: 7, avg_qty: 3.5, max_qty: 5, distinctCount_who: 2, concat_who: "x/y/x" },
+      { c: "B", rows: 1, sum_qty: 3, avg_qty: 3, max_qty: 3, distinctCount_who: 1, concat_who: "y" }
+    ]);
+  });
+
+  it("matches group-by and aggregate columns tolerantly", async function() {
+    const res = await run({
+      aggregateEnabled: true,
+      aggregateGroupBy: [by("C")],
+      aggregateList: [{ col: " QTY", fn: "sum", as: "total" }]
+    }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ c: "A", total: 7 }, { c: "B", total: 3 }]);
+  });
+
+  it("returns a single totals row without group-by columns", async function() {
+    const res = await run({ aggregateEnabled: true, aggregateList: [{ col: "qty", fn: "sum" }] }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ sum_qty: 10 }]);
+  });
+
+  it("groups across sheets in flat mode", async function() {
+    const res = await run({
+      structure: "flat",
+      aggregateEnabled: true,
+      aggregateGroupBy: [by("c")],
+      aggregateList: [{ fn: "count", as: "n" }]
+    }, workbook({ S1: rows, S2: rows.slice(0, 2) }));
+    assert.deepStrictEqual(res.sent[0][0].filtered.data, [{ c: "A", n: 4 }, { c: "B", n: 2 }]);
+  });
+});
@@ -0,0 +1,56 @@
+// Rule evaluation with and without the compiled plan, on a fixed generated workbook.
+// Usage: npm run bench [-- rows runs]
+const assert = require("assert");
+const { helper, load, send, workbook } = require("./lib/run");
+
+const ROWS = Number(process.argv[2]) || 20000;
+const RUNS = Number(process.argv[3]) || 5;
+
+// Same rows every time: no randomness, no dates
+const rows = Array.from({ length: ROWS }, (_, i) => ({
+  Id: i, Qty: (i * 7) % 101, Code: "C" + ((i * 13) % 17), Region: ["North", "South", "East", "West"][i % 4]
+}));
+
+const config = {
+  filterLogic: "AND",
+  rules: [
+    // row-independent JSONata sheet scope, column and RHS: resolved once per sheet when compiled
+    { sheetScope: "'Sales'", sheetScopeType: "jsonata", col: "'Qty'", colType: "jsonata", op: ">", rhs: "min", rhsType: "jsonata" },
+    { col: "Code", colType: "str", op: "regex", rhs: "^C1[0-5]?$", rhsType: "str" },
+    { col: "Region", colType: "str", op: "in", rhs: "regions", rhsType: "jsonata" },
+    // reads the row: still evaluated per row
+    { col: "Id", colType: "str", op: "jsonata", rhs: "row.Id % 3 != 0" }
+  ],
+  deriveList: [{ col: "Total", exprType: "jsonata", expr: "row.Qty * 2" }]
+};
+const msg = () => ({ min: 20, regions: ["North", "East", "West"], ...workbook({ Sales: rows }) });
+
+async function time(node, compiled) {
+  const plan = node.plan;
+  const times = [];
+  let out = null;
+  for (let i = 0; i < RUNS; i++) {
+    node.plan = compiled ? plan : null;
+    const t0 = process.hrtime.bigint();
+    const res = await send(node, msg());
+    times.push(Number(process.hrtime.bigint() - t0) / 1e6);
+    if (res.error) throw res.error;
+    out = res.sent[0][0].filtered.data;
+  }
+  node.plan = plan;
+  times.sort((a, b) => a - b);
+  return { ms: times[Math.floor(times.length / 2)], out };
+}
+
+(async () => {
+  const node = await load(config);
+  await time(node, true); // warm-up
+  const plain = await time(node, false);
+  const compiled = await time(node, true);
+  assert.deepStrictEqual(compiled.out, plain.out, "compiled and uncompiled results differ");
+  const kept = compiled.out["book.xlsx"].Sales.length;
+  console.log(`${ROWS} rows, ${kept} kept, median of ${RUNS} runs`);
+  console.log(`  uncompiled ${plain.ms.toFixed(1)} ms`);
+  console.log(`  compiled   ${compiled.ms.toFixed(1)} ms (${(plain.ms / compiled.ms).toFixed(1)}x)`);
+  await helper.unload();
+})().catch(err => { console.error(err); process.exitCode = 1; });
@@ -0,0 +1,56 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+const rule = (col, op, rhs) => ({ col, colType: "str", op, rhs, rhsType: typeof rhs === "number" ? "num" : "str" });
+const rename = (from, to) => ({ from, fromType: "str", to, toType: "str" });
+
+describe("conditional renames and derives", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ R: "EU", Q: 1 }, { R: "US", Q: 5 }];
+  const list = { conditionalRenameEnabled: true, conditionalRenameWhenLhs: "topic", conditionalRenameRhs: "eu", conditionalRenameList: [rename("Q", "Qty")] };
+
+  it("applies the message-level list only when its condition holds", async function() {
+    let res = await run(list, { ...workbook({ S: rows }), topic: "eu" });
+    assert.deepStrictEqual(Object.keys(rowsOf(res, "S")[0]), ["R", "Qty"]);
+    await helper.unload();
+    res = await run(list, { ...workbook({ S: rows }), topic: "us" });
+    assert.deepStrictEqual(Object.keys(rowsOf(res, "S")[0]), ["R", "Q"]);
+  });
+
+  it("renames the rows matching each enabled block, within its sheet scope", async function() {
+    const res = await run({
+      conditionalRenameEnabled: true,
+      conditionalRenameBlocks: [
+        { name: "eu", when: { logic: "AND", rules: [rule("R", "==", "EU")] }, list: [rename("Q", "EU_Q")] },
+        { name: "off", enabled: false, when: { logic: "AND", rules: [rule("R", "==", "US")] }, list: [rename("Q", "never")] },
+        { name: "big", sheetScope: "S", sheetScopeType: "str", when: { logic: "AND", rules: [rule("Q", ">", 4)] }, list: [rename("R", "Region")] }
+      ]
+    }, workbook({ S: rows, T: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "EU", EU_Q: 1 }, { Region: "US", Q: 5 }]);
+    assert.deepStrictEqual(rowsOf(res, "T"), [{ R: "EU", EU_Q: 1 }, { R: "US", Q: 5 }]);
+  });
+
+  it("gives row conditions the row, sheet and file in JSONata", async function() {
+    const when = { logic: "AND", rules: [{ col: "", colType: "str", op: "jsonata", rhs: "file = 'book.xlsx' and sheet = 'S' and row.Q > 4", rhsType: "jsonata" }] };
+    const res = await run({ conditionalRenameEnabled: true, conditionalRenameBlocks: [{ when, list: [rename("Q", "Big")] }] }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "EU", Q: 1 }, { R: "US", Big: 5 }]);
+  });
+
+  it("derives when the condition holds, else writes the fallback", async function() {
+    const res = await run({
+      deriveList: [
+        { col: "D", exprType: "jsonata", expr: "row.Q * 10", when: { logic: "AND", rules: [rule("R", "==", "US")] }, fallback: "0", fallbackType: "num" },
+        { col: "E", exprType: "jsonata", expr: "row.Q * 10", when: { logic: "AND", rules: [rule("R", "==", "US")] } }
+      ]
+    }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "EU", Q: 1, D: 0 }, { R: "US", Q: 5, D: 50, E: 50 }]);
+  });
+
+  it("writes the fallback when the expression fails", async function() {
+    const res = await run({
+      deriveList: [{ col: "D", exprType: "jsonata", expr: "$number(row.R)", fallback: "n/a", fallbackType: "str" }]
+    }, workbook({ S: rows.slice(0, 1) }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "EU", Q: 1, D: "n/a" }]);
+  });
+});
@@ -0,0 +1,43 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+const rule = (op, rhs, rhsType = "str") => ({ col: "d", colType: "str", op, rhs, rhsType });
+
+describe("date operators", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [
+    { id: 1, d: 45366 },              // Excel serial: 2024-03-15
+    { id: 2, d: "2024-03-15T10:00" },
+    { id: 3, d: "16/03/2024" },
+    { id: 4, d: "03/17/2024" },       // month first: only valid reading
+    { id: 5, d: "2023-12-31" },
+    { id: 6, d: "not a date" }
+  ];
+  const ids = async (r) => rowsOf(await run({ rules: [r] }, workbook({ S: rows })), "S").map(x => x.id);
+
+  it("compares Excel serials, ISO and locale strings", async function() {
+    assert.deepStrictEqual(await ids(rule("sameDay", "2024-03-15")), [1, 2]);
+    await helper.unload();
+    assert.deepStrictEqual(await ids(rule("after", "15.03.2024 12:00")), [3, 4]);
+    await helper.unload();
+    assert.deepStrictEqual(await ids(rule("dateBetween", "2024-03-16..2024-03-17")), [3, 4]);
+  });
+
+  it("reads a 4-digit number as a year", async function() {
+    assert.deepStrictEqual(await ids(rule("sameYear", 2024, "num")), [1, 2, 3, 4]);
+    await helper.unload();
+    assert.deepStrictEqual(await ids(rule("before", "2024")), [5]);
+  });
+
+  it("resolves relative right-hand sides", async function() {
+    const now = new Date();
+    const iso = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+    const day = (n) => { const d = new Date(now); d.setDate(d.getDate() + n); return iso(d); };
+    const res = await run({ rules: [rule("withinLast", "7d")] }, workbook({ S: [{ d: day(0) }, { d: day(-6) }, { d: day(-8) }, { d: day(1) }] }));
+    assert.deepStrictEqual(rowsOf(res, "S").map(r => r.d), [day(0), day(-6)]);
+    await helper.unload();
+    const res2 = await run({ rules: [rule("sameDay", "today-1d")] }, workbook({ S: [{ d: day(-1) }, { d: day(0) }] }));
+    assert.deepStrictEqual(rowsOf(res2, "S").map(r => r.d), [day(-1)]);
+  });
+});
@@ -0,0 +1,61 @@
+const assert = require("assert");
+const { helper, load, send, workbook, rowsOf } = require("./lib/run");
+
+describe("diff against the previous run", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const diffOn = { diffEnabled: true, diffKeys: [{ col: "id", colType: "str" }] };
+  const v1 = [{ id: 1, q: 1 }, { id: 2, q: 2 }, { id: 3, q: 3 }];
+  const v2 = [{ id: 1, q: 1 }, { id: 2, q: 20 }, { id: 4, q: 4 }];
+
+  // Both messages in flight at once; resolves the sent messages once both are done
+  function sendBoth(node, a, b) {
+    return new Promise(resolve => {
+      const sent = [];
+      let left = 2;
+      node.send = function(m) { sent.push(Array.isArray(m) ? m[0] : m); };
+      node._complete = function() { if (--left === 0) { delete node._complete; resolve(sent); } };
+      node.receive(a);
+      node.receive(b);
+    });
+  }
+
+  it("outputs added, changed and removed rows by key, with a summary", async function() {
+    const node = await load(diffOn);
+    let res = await send(node, workbook({ S: v1 }));
+    assert.deepStrictEqual(rowsOf(res, "S").map(r => r._diff), ["added", "added", "added"]);
+    assert.strictEqual(res.sent[0][0].filtered.diff.previousAt, null);
+    res = await send(node, workbook({ S: v2 }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [
+      { _diff: "changed", id: 2, q: 20, _changes: [{ column: "q", old: 2, new: 20 }] },
+      { _diff: "added", id: 4, q: 4 },
+      { _diff: "removed", id: 3, q: 3 }
+    ]);
+    const d = res.sent[0][0].filtered.diff;
+    assert.deepStrictEqual([d.added, d.changed, d.removed, d.unchanged], [1, 1, 1, 1]);
+    assert.ok(d.previousAt);
+  });
+
+  it("compares only the columns left by the earlier stages", async function() {
+    const node = await load({ ...diffOn, selectMode: "drop", selectList: [{ col: "q", colType: "str" }] });
+    await send(node, workbook({ S: v1 }));
+    const res = await send(node, workbook({ S: v2 }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ _diff: "added", id: 4 }, { _diff: "removed", id: 3 }]);
+  });
+
+  it("keeps the snapshot of a failed run out of the store", async function() {
+    const node = await load({ ...diffOn, validationEnabled: true, validationAction: "fail", validationList: [{ col: "q", colType: "str", type: "number" }] });
+    await send(node, workbook({ S: v1 }));
+    const failed = await send(node, workbook({ S: [{ id: 9, q: "oops" }] }));
+    assert.ok(failed.error);
+    const res = await send(node, workbook({ S: v1 }));
+    assert.deepStrictEqual(rowsOf(res, "S"), []);
+  });
+
+  it("runs overlapping messages one after the other", async function() {
+    const node = await load(diffOn);
+    const [first, second] = await sendBoth(node, workbook({ S: v1 }), workbook({ S: v2 }));
+    assert.strictEqual(first.filtered.diff.added, 3);
+    assert.deepStrictEqual(second.filtered.data["book.xlsx"].S.map(r => r._diff), ["changed", "added", "removed"]);
+  });
+});
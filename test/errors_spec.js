@@ -0,0 +1,56 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+describe("error policy", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ Id: 1, St: "a" }, { Id: 2, St: "7" }];
+  const failing = {
+    rules: [{ col: "", colType: "str", op: "jsonata", rhs: "$number(row.St) > 1", rhsType: "jsonata" }],
+    deriveList: [{ col: "N", exprType: "jsonata", expr: "$number(row.St)" }],
+    includeSheetRegex: "(["
+  };
+
+  it("lenient: a failing rule is false, the derive is left unset, a bad sheet regex filters nothing", async function() {
+    const res = await run(failing, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ Id: 2, St: "7", N: 7 }]);
+    assert.strictEqual(res.sent[0][0].filtered.summary.errors, undefined);
+  });
+
+  it("warn: counts the failures per stage and lists where they happened", async function() {
+    const res = await run({ ...failing, errorPolicy: "warn" }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ Id: 2, St: "7", N: 7 }]);
+    const errors = res.sent[0][0].filtered.summary.errors;
+    assert.deepStrictEqual([errors.count, errors.stages], [2, { input: 1, filter: 1 }]);
+    const { error, ...where } = errors.list[1];
+    assert.deepStrictEqual(where, { file: "book.xlsx", sheet: "S", row: 0, stage: "filter", expression: "$number(row.St) > 1" });
+    assert.ok(error);
+  });
+
+  it("strict: fails the message on the first failure, with its location", async function() {
+    const res = await run({ ...failing, includeSheetRegex: "", errorPolicy: "strict" }, workbook({ S: rows }));
+    assert.deepStrictEqual(res.sent, []);
+    assert.match(res.error.message, /^Expression failed in filter: book\.xlsx \/ S, row 0, "\$number\(row\.St\) > 1": /);
+    assert.deepStrictEqual([res.error.details.stage, res.error.details.row], ["filter", 0]);
+  });
+
+  it("strict: raises the error to Catch nodes even with the error port", async function() {
+    const res = await run({ ...failing, includeSheetRegex: "", errorPolicy: "strict", errorOutput: true }, workbook({ S: rows }));
+    assert.ok(res.error);
+    assert.deepStrictEqual(res.sent[0][1].error.details.stage, "filter");
+  });
+
+  it("sends other failures only to the error port", async function() {
+    const res = await run({ errorOutput: true, inputPath: "payload", inputFormat: "arrays" }, { payload: [{ a: 1 }] });
+    assert.strictEqual(res.error, null);
+    assert.strictEqual(res.sent[0][1].error.message, "Input does not match the 'arrays' input format.");
+  });
+
+  it("sends an invalid pattern to the error policy instead of flagging rows", async function() {
+    const config = { validationEnabled: true, validationAction: "flag", errorPolicy: "warn", validationList: [{ col: "St", colType: "str", pattern: "([" }] };
+    const res = await run(config, workbook({ S: rows }));
+    assert.ok(rowsOf(res, "S").every(r => r._invalid === undefined));
+    const errors = res.sent[0][0].filtered.summary.errors;
+    assert.deepStrictEqual([errors.count, errors.list[0].stage, errors.list[0].expression], [2, "validation", "(["]);
+  });
+});
@@ -0,0 +1,41 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+describe("CSV, NDJSON and table output", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ id: 1, name: "a,b", q: 5 }, { id: 2, name: ' x"y', q: 0 }, { id: 3, name: "c", q: 7 }];
+  const positive = [{ col: "q", colType: "str", op: ">", rhs: 0, rhsType: "num" }];
+
+  it("formats each sheet as CSV, quoting where needed", async function() {
+    const res = await run({ structure: "csv" }, workbook({ S: rows }));
+    assert.strictEqual(rowsOf(res, "S"), 'id,name,q\n1,"a,b",5\n2," x""y",0\n3,c,7\n');
+  });
+
+  it("formats NDJSON and tables", async function() {
+    let res = await run({ structure: "ndjson", rules: positive }, workbook({ S: rows }));
+    assert.strictEqual(rowsOf(res, "S"), '{"id":1,"name":"a,b","q":5}\n{"id":3,"name":"c","q":7}\n');
+    await helper.unload();
+    res = await run({ structure: "table", rules: positive }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), { headers: ["id", "name", "q"], rows: [[1, "a,b", 5], [3, "c", 7]] });
+  });
+
+  it("combines all sheets into one value with _file and _sheet", async function() {
+    const res = await run({ structure: "csv", outputCombine: true, csvDelimiter: ";" }, workbook({ S: rows.slice(0, 1), T: rows.slice(2) }));
+    assert.strictEqual(res.sent[0][0].filtered.data, "_file;_sheet;id;name;q\nbook.xlsx;S;1;a,b;5\nbook.xlsx;T;3;c;7\n");
+  });
+
+  it("gives an empty string for a sheet without rows", async function() {
+    const res = await run({ structure: "csv", rules: [{ col: "q", colType: "str", op: ">", rhs: 100, rhsType: "num" }] }, workbook({ S: rows }));
+    assert.strictEqual(rowsOf(res, "S"), "");
+  });
+
+  it("streams CSV chunks, skipping chunks without rows", async function() {
+    const res = await run({ structure: "csv", streamMode: "rows", streamChunkSize: 1, rejectOutput: true, rules: positive }, workbook({ S: rows }));
+    const chunks = res.sent.map(s => s[0]).filter(m => m && m.parts && m.parts.type === "string");
+    assert.deepStrictEqual(chunks.map(m => m.filtered), ['id,name,q\n1,"a,b",5\n', "3,c,7\n"]);
+    assert.deepStrictEqual(chunks.map(m => [m.parts.index, m.parts.count]), [[0, undefined], [1, 2]]);
+    const rejected = res.sent.map(s => s[1]).filter(m => m && m.filtered.length);
+    assert.deepStrictEqual(rejected.map(m => m.filtered.map(r => r.id)), [[2]]);
+  });
+});
@@ -0,0 +1,36 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+describe("header normalization", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [
+    { " Part No": "A1", "part_no ": "x", "Qty  Total": 3, "Désignation": "Écrou" },
+    { " Part No": "B2", "part_no ": "", "Qty  Total": 4, "Désignation": "Vis" }
+  ];
+  const headers = { headersEnabled: true, headersCase: "snake", headersStripAccents: true };
+
+  it("renames headers and suffixes duplicates, reporting what changed", async function() {
+    const res = await run(headers, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S")[0], { part_no: "A1", part_no_1: "x", qty_total: 3, designation: "Écrou" });
+    assert.deepStrictEqual(res.sent[0][0].filtered.headers, [{
+      file: "book.xlsx", sheet: "S",
+      mapped: { " Part No": "part_no", "part_no ": "part_no_1", "Qty  Total": "qty_total", "Désignation": "designation" },
+      duplicates: [{ name: "part_no", from: [" Part No", "part_no "] }]
+    }]);
+  });
+
+  it("uses aliases verbatim and merges duplicates on request", async function() {
+    const res = await run({ ...headers, headersDuplicates: "merge", headersAliases: [{ name: "PartNo", variants: ["part number", "part no"] }] }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [
+      { PartNo: "A1", qty_total: 3, designation: "Écrou" },
+      { PartNo: "B2", qty_total: 4, designation: "Vis" }
+    ]);
+  });
+
+  it("normalizes join lookup sheets the same way", async function() {
+    const joinList = [{ sheetScope: "Orders", sheetScopeType: "str", lookupFile: "", lookupSheet: "Products", leftKeys: ["part_no"], rightKeys: ["part_no"], mode: "left", columns: ["unit_price"] }];
+    const res = await run({ ...headers, joinList }, workbook({ Orders: [{ "Part No": "A1", Qty: 1 }], Products: [{ "PART NO ": "A1", "Unit Price": 5 }] }));
+    assert.deepStrictEqual(rowsOf(res, "Orders"), [{ part_no: "A1", qty: 1, unit_price: 5 }]);
+  });
+});
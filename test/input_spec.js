@@ -0,0 +1,33 @@
+const assert = require("assert");
+const { helper, run } = require("./lib/run");
+
+describe("input formats", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const dataOf = (res) => res.sent[0][0].filtered.data;
+
+  it("labels a bare row array", async function() {
+    const res = await run({ inputPath: "payload" }, { payload: [{ a: 1 }, { a: 2 }] });
+    assert.deepStrictEqual(dataOf(res), { input: { Sheet1: [{ a: 1 }, { a: 2 }] } });
+  });
+
+  it("labels the file of a sheet map", async function() {
+    const res = await run({ inputPath: "payload", inputFile: "f.csv" }, { payload: { S1: [{ a: 1 }], S2: [{ a: 2 }] } });
+    assert.deepStrictEqual(dataOf(res), { "f.csv": { S1: [{ a: 1 }], S2: [{ a: 2 }] } });
+  });
+
+  it("keys arrays of arrays by their header row", async function() {
+    const res = await run({ inputPath: "payload", inputHeaderRow: 1 }, { payload: [["title"], ["A", "", "A"], [], [1, 2, 3]] });
+    assert.deepStrictEqual(dataOf(res), { input: { Sheet1: [{ A: 1, Col2: 2, A_1: 3 }] } });
+  });
+
+  it("groups flat rows back by _file and _sheet", async function() {
+    const res = await run({ inputPath: "payload" }, { payload: [{ _file: "x.xlsx", _sheet: "S", a: 1 }, { a: 2 }] });
+    assert.deepStrictEqual(dataOf(res), { "x.xlsx": { S: [{ a: 1 }] }, input: { Sheet1: [{ a: 2 }] } });
+  });
+
+  it("fails when the input does not match an explicit format", async function() {
+    const res = await run({ inputPath: "payload", inputFormat: "arrays" }, { payload: [{ a: 1 }] });
+    assert.strictEqual(res.error.message, "Input does not match the 'arrays' input format.");
+  });
+});
@@ -0,0 +1,41 @@
+const assert = require("assert");
+const { helper, run, rowsOf } = require("./lib/run");
+
+const join = (extra) => ({ sheetScope: "Orders", sheetScopeType: "str", lookupFile: "", lookupSheet: "Products", leftKeys: ["Ref"], rightKeys: ["ID"], mode: "left", ...extra });
+
+describe("join", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const orders = [{ Ref: "p1", Qty: 2 }, { Ref: "P2 ", Qty: 1 }, { Ref: "p9", Qty: 4 }];
+  const products = [{ " id": "P1", Name: "Bolt", Price: 1 }, { " id": "p2", Name: "Nut", Price: 2 }, { " id": "P1", Name: "Dup", Price: 9 }];
+  const msg = () => ({ data: { data: { "book.xlsx": { Orders: orders, Products: products } } } });
+
+  it("left join keeps unmatched rows, keys match tolerantly and first lookup row wins", async function() {
+    const res = await run({ joinList: [join({ prefix: "p_", columns: ["name"] })] }, msg());
+    assert.deepStrictEqual(rowsOf(res, "Orders"), [
+      { Ref: "p1", Qty: 2, p_Name: "Bolt" }, { Ref: "P2 ", Qty: 1, p_Name: "Nut" }, { Ref: "p9", Qty: 4 }
+    ]);
+  });
+
+  it("inner join drops unmatched rows, anti join keeps only them", async function() {
+    let res = await run({ joinList: [join({ mode: "inner", columns: ["Price"] })] }, msg());
+    assert.deepStrictEqual(rowsOf(res, "Orders"), [{ Ref: "p1", Qty: 2, Price: 1 }, { Ref: "P2 ", Qty: 1, Price: 2 }]);
+    await helper.unload();
+    res = await run({ joinList: [join({ mode: "anti" })] }, msg());
+    assert.deepStrictEqual(rowsOf(res, "Orders"), [{ Ref: "p9", Qty: 4 }]);
+  });
+
+  it("compares key values case-sensitively on request", async function() {
+    const res = await run({ joinList: [join({ mode: "inner", caseSensitive: true, columns: ["Name"] })] }, {
+      data: { data: { "book.xlsx": { Orders: [{ Ref: "p1" }, { Ref: " P1" }], Products: products } } }
+    });
+    assert.deepStrictEqual(rowsOf(res, "Orders"), [{ Ref: " P1", Name: "Bolt" }]);
+  });
+
+  it("reads the lookup sheet from another file by base name", async function() {
+    const res = await run({ joinList: [join({ lookupFile: "master.xlsx", columns: ["Name"] })] }, {
+      data: { data: { "/in/book.xlsx": { Orders: orders }, "/ref/master.xlsx": { Products: products } } }
+    });
+    assert.deepStrictEqual(res.sent[0][0].filtered.data["/in/book.xlsx"].Orders.map(r => r.Name), ["Bolt", "Nut", undefined]);
+  });
+});
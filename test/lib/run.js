@@ -0,0 +1,51 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const helper = require("node-red-node-test-helper");
+const xlsxFilterNode = require("../../xlsx-filter.js");
+
+helper.init(require.resolve("node-red"));
+
+// Fresh userDir per test run (config files, file sink)
+const userDir = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-filter-test-"));
+helper.settings({ userDir });
+
+// Deploy a flow: the xlsx-filter node is "f1" unless the given nodes say otherwise
+async function load(config, extra = []) {
+  const nodes = [{ id: "f1", type: "xlsx-filter", wires: [[], [], []], ...config }, ...extra];
+  await helper.load(xlsxFilterNode, nodes);
+  return helper.getNode(nodes[0].id);
+}
+
+// Send one message and wait for the handler to call done():
+// resolves { sent: [[port0, port1, port2]...], error, warns }
+function send(node, msg) {
+  return new Promise(resolve => {
+    const sent = [], warns = [];
+    node.send = function(m) { sent.push(Array.isArray(m) ? m : [m]); };
+    node.warn = function(w) { warns.push(w); };
+    node._complete = function(m, error) {
+      delete node._complete;
+      resolve({ sent, error: error || null, warns });
+    };
+    node.receive(msg);
+  });
+}
+
+// Deploy, send, return the first output message (or the error)
+async function run(config, msg, extra = []) {
+  const node = await load(config, extra);
+  return { node, ...(await send(node, msg)) };
+}
+
+// Rows of one sheet as the xlsx-reader hands them over
+function workbook(sheets, file = "book.xlsx") {
+  return { data: { data: { [file]: sheets } } };
+}
+
+// Result rows of the main output for file/sheet
+function rowsOf(res, sheet, file = "book.xlsx", target = "filtered") {
+  return res.sent[0][0][target].data[file][sheet];
+}
+
+module.exports = { helper, userDir, load, send, run, workbook, rowsOf };
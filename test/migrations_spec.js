@@ -0,0 +1,62 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { helper, userDir, load, send, run, workbook, rowsOf } = require("./lib/run");
+
+describe("config file versions and validation", function() {
+  before(function(done) { helper.startServer(done); });
+  after(function(done) { helper.stopServer(done); });
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ Q: 1 }, { Q: 5 }, { Q: 9 }];
+  const rules = [{ col: "Q", colType: "str", op: ">", rhs: 4, rhsType: "num" }];
+  const write = (name, obj) => fs.writeFileSync(path.join(userDir, name), typeof obj === "string" ? obj : JSON.stringify(obj));
+  const locked = (name) => ({ useConfigFile: true, lockToFile: true, configFilePath: name });
+
+  it("upgrades a bare schema (version 0) on load", async function() {
+    write("bare.json", { rules });
+    const res = await run(locked("bare.json"), workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ Q: 5 }, { Q: 9 }]);
+    const got = await helper.request().get("/xlsx-filter/config").query({ path: "bare.json" }).expect(200);
+    assert.strictEqual(got.body.version, 1);
+    assert.deepStrictEqual(got.body.schema.rules, rules);
+  });
+
+  it("falls back to the embedded config when the file is invalid", async function() {
+    write("bad.json", { version: 1, schema: { rules: [{ ...rules[0], op: "bigger" }] } });
+    const node = await load({ ...locked("bad.json"), rules: [{ ...rules[0], rhs: 8 }] });
+    const res = await send(node, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ Q: 9 }]);
+  });
+
+  it("returns every problem with its path, and the content, from GET", async function() {
+    write("typos.json", { version: 1, schema: { rulez: [], rules: {}, paging: { limit: -1 } } });
+    const got = await helper.request().get("/xlsx-filter/config").query({ path: "typos.json" }).expect(422);
+    assert.deepStrictEqual(got.body.errors, [
+      'schema.rulez: unknown setting (did you mean "rules"?).',
+      "schema.rules: expected array, got object.",
+      "schema.paging.limit: must be at least 0."
+    ]);
+    assert.deepStrictEqual(got.body.data.schema.rules, {});
+  });
+
+  it("refuses newer versions and invalid JSON", async function() {
+    write("new.json", { version: 2, schema: {} });
+    let got = await helper.request().get("/xlsx-filter/config").query({ path: "new.json" }).expect(422);
+    assert.match(got.body.error, /version 2 is newer than this node supports \(1\)/);
+    write("broken.json", "{ rules: [");
+    got = await helper.request().get("/xlsx-filter/config").query({ path: "broken.json" }).expect(422);
+    assert.match(got.body.errors[0], /^not valid JSON: /);
+  });
+
+  it("saves only valid configs, migrated and stamped", async function() {
+    let got = await helper.request().post("/xlsx-filter/config").send({ path: "saved.json", data: { rules: [{ ...rules[0], op: "bigger" }] } }).expect(400);
+    assert.match(got.body.errors[0], /^schema\.rules\[0\]/);
+    assert.strictEqual(fs.existsSync(path.join(userDir, "saved.json")), false);
+    got = await helper.request().post("/xlsx-filter/config").send({ path: "saved.json", data: { rules } }).expect(200);
+    const saved = JSON.parse(fs.readFileSync(path.join(userDir, "saved.json"), "utf8"));
+    assert.strictEqual(saved.version, 1);
+    assert.ok(saved.updatedAt);
+    assert.deepStrictEqual(saved.schema.rules, rules);
+  });
+});
@@ -0,0 +1,37 @@
+const assert = require("assert");
+const { helper, run, rowsOf } = require("./lib/run");
+
+describe("set, range, text and column operators", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [
+    { id: 1, c: "FR", q: 10, code: "0123", min: 5 }, { id: 2, c: "de", q: "50", code: "A-9", min: 60 },
+    { id: 3, c: "US", q: 101, code: "0-X", min: 101 }, { id: 4, c: "", q: "n/a", code: "", min: 0 }
+  ];
+  const ids = async (r, extra = {}) => {
+    const res = await run({ rules: [{ col: "c", colType: "str", rhsType: "str", ...r }] }, { data: { data: { "b.xlsx": { S: rows } } }, ...extra });
+    return rowsOf(res, "S", "b.xlsx").map(x => x.id);
+  };
+
+  it("in / !in take a comma list or an array from msg", async function() {
+    assert.deepStrictEqual(await ids({ op: "in", rhs: "FR, DE ,es" }), [1, 2]);
+    await helper.unload();
+    assert.deepStrictEqual(await ids({ op: "!in", rhs: "countries", rhsType: "msg" }, { countries: ["US", "FR"] }), [2, 4]);
+  });
+
+  it("between / !between are numeric and include the bounds", async function() {
+    assert.deepStrictEqual(await ids({ col: "q", op: "between", rhs: "10..100" }), [1, 2]);
+    await helper.unload();
+    assert.deepStrictEqual(await ids({ col: "q", op: "!between", rhs: "10,100" }), [3, 4]);
+  });
+
+  it("startsWith / endsWith work on the raw text", async function() {
+    assert.deepStrictEqual(await ids({ col: "code", op: "startsWith", rhs: "0" }), [1, 3]);
+    await helper.unload();
+    assert.deepStrictEqual(await ids({ col: "code", op: "endsWith", rhs: "x" }), [3]);
+  });
+
+  it("compares with another column of the same row", async function() {
+    assert.deepStrictEqual(await ids({ col: "q", op: ">=", rhs: "MIN", rhsType: "col" }), [1, 3]);
+  });
+});
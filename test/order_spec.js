@@ -0,0 +1,41 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+describe("sort, de-duplicate and limit", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [
+    { id: 1, grp: "b", n: "10", d: "2024-03-01" }, { id: 2, grp: "a", n: 9, d: "2024/02/01" },
+    { id: 3, grp: "b", n: "", d: "2024-01-15" }, { id: 4, grp: "a", n: 100, d: 45000 }
+  ];
+  const ids = (res, sheet = "S") => rowsOf(res, sheet).map(r => r.id);
+
+  it("sorts by several columns, numbers numerically and empty values last", async function() {
+    const res = await run({ sortList: [{ col: "grp", dir: "asc" }, { col: "N", dir: "desc", type: "number" }] }, workbook({ S: rows }));
+    assert.deepStrictEqual(ids(res), [4, 2, 1, 3]);
+  });
+
+  it("sorts dates whatever their format", async function() {
+    const res = await run({ sortList: [{ col: "d", type: "date" }] }, workbook({ S: rows }));
+    assert.deepStrictEqual(ids(res), [4, 3, 2, 1]);
+  });
+
+  it("de-duplicates on key columns keeping the first or last row", async function() {
+    let res = await run({ dedupeEnabled: true, dedupeKeys: ["grp"], dedupeKeep: "first" }, workbook({ S: rows }));
+    assert.deepStrictEqual(ids(res), [1, 2]);
+    await helper.unload();
+    res = await run({ dedupeEnabled: true, dedupeKeys: ["grp"], dedupeKeep: "last" }, workbook({ S: rows }));
+    assert.deepStrictEqual(ids(res), [3, 4]);
+  });
+
+  it("applies offset and limit per sheet", async function() {
+    const res = await run({ sortList: [{ col: "id", dir: "desc" }], pagingOffset: 1, pagingLimit: 2 }, workbook({ S: rows, T: rows.slice(0, 2) }));
+    assert.deepStrictEqual(ids(res), [3, 2]);
+    assert.deepStrictEqual(ids(res, "T"), [1]);
+  });
+
+  it("applies offset and limit on the flat output", async function() {
+    const res = await run({ structure: "flat", sortList: [{ col: "id" }], pagingLimit: 3 }, workbook({ S: rows, T: rows.slice(0, 2) }));
+    assert.deepStrictEqual(res.sent[0][0].filtered.data.map(r => r.id), [1, 1, 2]);
+  });
+});
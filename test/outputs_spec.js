@@ -0,0 +1,39 @@
+const assert = require("assert");
+const { helper, run, workbook } = require("./lib/run");
+
+describe("rejected rows and errors outputs", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ id: 1, q: 5, s: "OK" }, { id: 2, q: 0, s: "OK" }, { id: 3, q: 0, s: "KO" }];
+  const rules = [{ col: "q", colType: "str", op: ">", rhs: 0, rhsType: "num" }, { col: "s", colType: "str", op: "==", rhs: "OK", rhsType: "str" }];
+
+  it("sends rejected rows on the second output, annotated with the failing rules", async function() {
+    const res = await run({ rejectOutput: true, filterLogic: "AND", rules }, workbook({ S: rows }));
+    const [main, rejected] = res.sent[0];
+    assert.deepStrictEqual(main.filtered.data["book.xlsx"].S.map(r => r.id), [1]);
+    assert.deepStrictEqual(rejected.filtered.data["book.xlsx"].S.map(r => [r.id, r._rejectedBy.map(f => f.rule)]), [[2, ["1"]], [3, ["1"]]]);
+    assert.strictEqual(main.filtered.summary.rowRejected, 2);
+    assert.strictEqual(main.filtered.summary.rowOut, 1);
+  });
+
+  it("keeps the flat structure on the rejected output", async function() {
+    const res = await run({ rejectOutput: true, structure: "flat", rules }, workbook({ S: rows }));
+    const rejected = res.sent[0][1];
+    assert.deepStrictEqual(rejected.filtered.data.map(r => [r._sheet, r.id]), [["S", 2], ["S", 3]]);
+  });
+
+  it("sends errors to the errors output instead of failing", async function() {
+    const res = await run({ errorOutput: true }, { payload: "no workbook" });
+    assert.strictEqual(res.error, null);
+    const [main, errors] = res.sent[0];
+    assert.strictEqual(main, null);
+    assert.match(errors.error.message, /input/i);
+    assert.strictEqual(errors.error.source.id, "f1");
+  });
+
+  it("fails the message without an errors output", async function() {
+    const res = await run({}, { payload: "no workbook" });
+    assert.ok(res.error);
+    assert.strictEqual(res.sent.length, 0);
+  });
+});
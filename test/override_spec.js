@@ -0,0 +1,48 @@
+const assert = require("assert");
+const { helper, run, load, send, workbook, rowsOf } = require("./lib/run");
+
+describe("per-message override", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ R: "EU", Q: 1 }, { R: "US", Q: 5 }, { R: "EU", Q: 9 }];
+  const base = { msgOverride: true, rules: [{ col: "Q", colType: "str", op: ">", rhs: 2, rhsType: "num" }] };
+  const eu = { rules: [{ col: "R", colType: "str", op: "==", rhs: "EU", rhsType: "str" }] };
+  const msg = (extra) => ({ ...workbook({ S: rows }), ...extra });
+
+  it("appends override lists by default and reports the sections", async function() {
+    const res = await run(base, msg({ xlsxFilter: eu }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "EU", Q: 9 }]);
+    assert.deepStrictEqual(res.sent[0][0].filtered.summary.override, ["rules"]);
+  });
+
+  it("replaces lists on request", async function() {
+    const res = await run({ ...base, msgOverrideLists: "replace" }, msg({ xlsxFilter: eu }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "EU", Q: 1 }, { R: "EU", Q: 9 }]);
+  });
+
+  it("reads a config file object from another property", async function() {
+    const res = await run({ ...base, msgOverrideProperty: "report" }, msg({ report: { version: 1, schema: { paging: { limit: 1 } } } }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "US", Q: 5 }]);
+  });
+
+  it("leaves the node schema as it is for the next message", async function() {
+    const node = await load(base);
+    await send(node, msg({ xlsxFilter: eu }));
+    const res = await send(node, msg());
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "US", Q: 5 }, { R: "EU", Q: 9 }]);
+    assert.strictEqual(res.sent[0][0].filtered.summary.override, undefined);
+  });
+
+  it("rejects unknown keys and sections outside the allow-list", async function() {
+    let res = await run(base, msg({ xlsxFilter: { rulez: [] } }));
+    assert.strictEqual(res.error.message, 'msg.xlsxFilter.rulez: unknown setting (did you mean "rules"?).');
+    await helper.unload();
+    res = await run(base, msg({ xlsxFilter: { sink: { enabled: true } } }));
+    assert.match(res.error.message, /may not override 'sink'/);
+  });
+
+  it("ignores the property unless overrides are enabled", async function() {
+    const res = await run({ ...base, msgOverride: false }, msg({ xlsxFilter: eu }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "US", Q: 5 }, { R: "EU", Q: 9 }]);
+  });
+});
@@ -0,0 +1,72 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+describe("pipeline", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ Ref: "a", Qty: 2, Price: 3 }, { Ref: "b", Qty: 5, Price: 1 }, { Ref: "c", Qty: 1, Price: 9 }];
+  const rule = (col, op, rhs) => ({ col, colType: "str", op, rhs, rhsType: typeof rhs === "number" ? "num" : "str" });
+
+  it("filters on a derived column, then drops its sources", async function() {
+    const res = await run({
+      deriveList: [{ col: "Total", exprType: "jsonata", expr: "row.Qty * row.Price" }],
+      pipeline: [
+        { step: "derive" },
+        { step: "filter", rules: [rule("Total", ">", 5)] },
+        { step: "select", mode: "drop", list: [{ col: '["Qty","Price"]', colType: "jsonata" }] }
+      ]
+    }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ Ref: "a", Total: 6 }, { Ref: "c", Total: 9 }]);
+  });
+
+  it("filters on joined columns and reports rejected rows as they were then", async function() {
+    const lookup = [{ Ref: "a", Group: "x" }, { Ref: "b", Group: "y" }];
+    const res = await run({
+      rejectOutput: true,
+      joinList: [{ sheetScope: "S", sheetScopeType: "str", lookupSheet: "L", leftKeys: ["Ref"], columns: ["Group"] }],
+      pipeline: [{ step: "join" }, { step: "filter", rules: [rule("Group", "==", "x")] }]
+    }, workbook({ S: rows, L: lookup }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ Ref: "a", Qty: 2, Price: 3, Group: "x" }]);
+    assert.deepStrictEqual(res.sent[0][1].filtered.data["book.xlsx"].S.map(r => [r.Ref, r.Group]), [["b", "y"], ["c", undefined]]);
+  });
+
+  it("validates before later steps, with the sheet row index", async function() {
+    const res = await run({
+      pipeline: [
+        { step: "filter", rules: [rule("Qty", ">", 1)] },
+        { step: "validation", action: "drop", list: [{ col: "Price", colType: "str", min: "2" }] },
+        { step: "derive", list: [{ col: "Ok", exprType: "jsonata", expr: "true" }] }
+      ]
+    }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ Ref: "a", Qty: 2, Price: 3, Ok: true }]);
+    const v = res.sent[0][0].filtered.validation;
+    assert.deepStrictEqual([v.checked, v.invalid, v.violations[0].row], [2, 1, 1]);
+  });
+
+  it("filters unpivoted rows and derives from pivoted columns", async function() {
+    const wide = [{ R: "N", Jan: 5, Feb: 0 }, { R: "S", Jan: 1, Feb: 7 }];
+    const res = await run({
+      pipeline: [
+        { step: "unpivot", list: [{ col: '["Jan","Feb"]', colType: "jsonata", idCols: ["R"], keyName: "M", valueName: "Q" }] },
+        { step: "filter", rules: [rule("Q", ">", 0)] },
+        { step: "pivot", list: [{ keyCol: "M", valueCol: "Q", idCols: ["R"], fn: "sum" }] },
+        { step: "derive", list: [{ col: "Total", exprType: "jsonata", expr: "row.Jan + (row.Feb ? row.Feb : 0)" }] }
+      ]
+    }, workbook({ S: wide }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "N", Jan: 5, Feb: null, Total: 5 }, { R: "S", Jan: 1, Feb: 7, Total: 8 }]);
+  });
+
+  it("repeats steps, limits them to sheets and skips disabled ones", async function() {
+    const res = await run({
+      valueTransforms: [{ col: "Ref", colType: "str", op: "upper" }],
+      pipeline: [
+        { step: "valueTransforms", sheetScope: "T", sheetScopeType: "str" },
+        { step: "select", mode: "keep", list: [{ col: "Ref", colType: "str" }], enabled: false },
+        { step: "select", mode: "drop", list: [{ col: "Price", colType: "str" }] },
+        { step: "select", mode: "drop", list: [{ col: "Qty", colType: "str" }], sheetScope: "S", sheetScopeType: "str" }
+      ]
+    }, workbook({ S: rows.slice(0, 1), T: rows.slice(0, 1) }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ Ref: "a" }]);
+    assert.deepStrictEqual(rowsOf(res, "T"), [{ Ref: "A", Qty: 2 }]);
+  });
+});
@@ -0,0 +1,34 @@
+const assert = require("assert");
+const { helper, load, send, workbook, rowsOf } = require("./lib/run");
+
+describe("compiled plan", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ Qty: 1, Code: "A" }, { Qty: 5, Code: "B" }, { Qty: 9, Code: "A" }];
+  const config = {
+    rules: [
+      { col: "'Qty'", colType: "jsonata", op: ">", rhs: "min", rhsType: "jsonata" },
+      { col: "Code", colType: "str", op: "regex", rhs: "^A$", rhsType: "str" }
+    ],
+    deriveList: [{ col: "Twice", exprType: "jsonata", expr: "row.Qty * 2" }]
+  };
+
+  it("gives the same rows with and without the plan", async function() {
+    const node = await load(config);
+    const compiled = await send(node, { min: 0, ...workbook({ S: rows }) });
+    node.plan = null;
+    const plain = await send(node, { min: 0, ...workbook({ S: rows }) });
+    assert.deepStrictEqual(rowsOf(compiled, "S"), [{ Qty: 1, Code: "A", Twice: 2 }, { Qty: 9, Code: "A", Twice: 18 }]);
+    assert.deepStrictEqual(rowsOf(plain, "S"), rowsOf(compiled, "S"));
+  });
+
+  it("keeps at most 500 parsed expressions", async function() {
+    const deriveList = Array.from({ length: 510 }, (_, i) => ({ col: `D${i}`, exprType: "jsonata", expr: `row.Qty + ${i}` }));
+    const node = await load({ deriveList });
+    assert.strictEqual(node.plan.exprs.size, 500);
+    const res = await send(node, workbook({ S: rows.slice(0, 1) }));
+    assert.strictEqual(rowsOf(res, "S")[0].D0, 1);
+    assert.strictEqual(rowsOf(res, "S")[0].D509, 510);
+    assert.strictEqual(node.plan.exprs.size, 500);
+  });
+});
@@ -0,0 +1,42 @@
+const assert = require("assert");
+const { helper, load, send, workbook } = require("./lib/run");
+
+describe("editor preview", function() {
+  before(function(done) { helper.startServer(done); });
+  after(function(done) { helper.stopServer(done); });
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ R: "EU", Q: 1 }, { R: "US", Q: 5 }, { R: "EU", Q: 9 }];
+  const capture = { previewCapture: true, previewRows: 2 };
+
+  it("keeps only the first rows and the scalar msg properties", async function() {
+    const node = await load(capture);
+    await send(node, { ...workbook({ S: rows }), topic: "EU", n: 3, payload: Buffer.alloc(4096), meta: { a: 1 }, text: "x".repeat(2000) });
+    const sample = node.preview.sample;
+    assert.deepStrictEqual(sample.data, { "book.xlsx": { S: rows.slice(0, 2) } });
+    assert.deepStrictEqual(Object.keys(sample.msg).sort(), ["_msgid", "n", "topic"]);
+    const got = await helper.request().get("/xlsx-filter/preview/sample").query({ id: node.id }).expect(200);
+    assert.deepStrictEqual(got.body.sheets, [{ file: "book.xlsx", sheet: "S", rows: 2, columns: ["R", "Q"] }]);
+  });
+
+  it("runs the unsaved schema on the sample, with msg values and a count per pipeline step", async function() {
+    const node = await load(capture);
+    await send(node, { ...workbook({ S: rows }), topic: "EU" });
+    const schema = {
+      rules: [{ col: "R", colType: "str", op: "==", rhs: "topic", rhsType: "msg" }],
+      deriveList: [{ col: "D", exprType: "jsonata", expr: "row.Q * 2" }],
+      pipeline: [{ step: "filter" }, { step: "derive" }]
+    };
+    const got = await helper.request().post("/xlsx-filter/preview").send({ id: node.id, schema }).expect(200);
+    const sheet = got.body.sheets[0];
+    assert.deepStrictEqual(sheet.rows, [{ R: "EU", Q: 1, D: 2 }]);
+    assert.deepStrictEqual(sheet.stages, [{ stage: "input", rows: 2 }, { stage: "filter #1", rows: 1 }, { stage: "derive #2", rows: 1 }]);
+    assert.strictEqual(sheet.rejected, 1);
+  });
+
+  it("answers 404 until a sample was captured", async function() {
+    const node = await load(capture);
+    const got = await helper.request().get("/xlsx-filter/preview/sample").query({ id: node.id }).expect(404);
+    assert.match(got.body.error, /No sample yet/);
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require("assert");
+const { helper, load, send, workbook, rowsOf } = require("./lib/run");
+
+describe("profiles", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ R: "EU", Q: 1 }, { R: "US", Q: 5 }, { R: "EU", Q: 9 }, { R: "US", Q: 12 }];
+  const profile = (id, schema, extra = {}) => ({ id, type: "xlsx-filter-profile", schema: JSON.stringify(schema), ...extra });
+  const rule = (col, op, rhs) => ({ col, colType: "str", op, rhs, rhsType: typeof rhs === "number" ? "num" : "str" });
+
+  async function runWith(config, profiles) {
+    const node = await load(config, profiles);
+    return await send(node, workbook({ S: rows }));
+  }
+
+  it("ANDs the node's rules with the profile's, each under its own logic", async function() {
+    const res = await runWith(
+      { profile1: "p1", filterLogic: "OR", rules: [rule("R", "==", "EU"), rule("Q", "==", 12)], ownSettings: ["rules"] },
+      [profile("p1", { filterLogic: "OR", rules: [rule("Q", ">", 8), rule("R", "==", "US")] })]
+    );
+    // (Q > 8 OR R == US) AND (R == EU OR Q == 12)
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "EU", Q: 9 }, { R: "US", Q: 12 }]);
+    assert.deepStrictEqual(res.sent[0][0].filtered.rules, { logic: "AND", count: 4 });
+  });
+
+  it("keeps the profile's rules and logic when the node sets none", async function() {
+    const res = await runWith({ profile1: "p1" }, [profile("p1", { filterLogic: "OR", rules: [rule("Q", ">", 8), rule("R", "==", "US")] })]);
+    assert.deepStrictEqual(rowsOf(res, "S").map(r => r.Q), [5, 9, 12]);
+  });
+
+  it("layers only the settings the node set, whatever their value", async function() {
+    const profileSchema = { output: { includeSummary: false }, selectMode: "keep", selectList: [{ col: "Q", colType: "str" }] };
+    let res = await runWith({ profile1: "p1", includeSummary: true }, [profile("p1", profileSchema)]);
+    assert.strictEqual(res.sent[0][0].filtered.summary, undefined);
+    assert.deepStrictEqual(rowsOf(res, "S")[0], { Q: 1 });
+    await helper.unload();
+    res = await runWith({ profile1: "p1", includeSummary: true, ownSettings: ["output.includeSummary"] }, [profile("p1", profileSchema)]);
+    assert.strictEqual(res.sent[0][0].filtered.summary.rowIn, 4);
+    assert.deepStrictEqual(rowsOf(res, "S")[0], { Q: 1 });
+  });
+
+  it("applies the profiles a profile is based on first, and each profile once", async function() {
+    const res = await runWith({ profile1: "p2", profile2: "p1" }, [
+      profile("p1", { rules: [rule("Q", ">", 4)], paging: { limit: 1 } }),
+      profile("p2", { rules: [rule("R", "==", "US")], paging: { limit: 5 } }, { base: "p1" })
+    ]);
+    // p1 then p2: p2's limit wins, and p1 listed again in slot 2 is not layered over it
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ R: "US", Q: 5 }, { R: "US", Q: 12 }]);
+    assert.deepStrictEqual(res.sent[0][0].filtered.rules, { logic: "AND", count: 2 });
+  });
+
+  it("skips a missing profile with a warning", async function() {
+    const res = await runWith({ profile1: "gone", profile2: "p1" }, [profile("p1", { rules: [rule("Q", ">", 8)] })]);
+    assert.deepStrictEqual(rowsOf(res, "S").map(r => r.Q), [9, 12]);
+    assert.deepStrictEqual(res.warns, ["Profile gone not found, skipped."]);
+  });
+});
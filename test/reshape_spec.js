@@ -0,0 +1,44 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+describe("reshape: unpivot and pivot", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const long = [
+    { Region: "N", Month: "Jan", Qty: 5 }, { Region: "N", Month: "Jan", Qty: 2 }, { Region: "N", Month: "Feb", Qty: 7 },
+    { Region: "S", Month: "Feb", Qty: 1 }, { Region: "S", Month: "Region", Qty: 9 }
+  ];
+
+  it("unpivots the listed columns, skipping empty cells", async function() {
+    const wide = [{ Region: "N", Jan: 5, Feb: 7, Mar: "" }, { Region: "S", Jan: 1, Feb: null, Mar: 2 }, { Other: 1 }];
+    const unpivotList = [{ col: '["Jan","Feb","Mar"]', colType: "jsonata", idCols: ["Region"], keyName: "Month", valueName: "Qty", dropEmpty: true }];
+    const res = await run({ unpivotList }, workbook({ S: wide }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [
+      { Region: "N", Month: "Jan", Qty: 5 }, { Region: "N", Month: "Feb", Qty: 7 },
+      { Region: "S", Month: "Jan", Qty: 1 }, { Region: "S", Month: "Mar", Qty: 2 },
+      { Other: 1 }
+    ]);
+  });
+
+  it("pivots key values into columns, combining collisions", async function() {
+    const pivotList = [{ keyCol: "Month", valueCol: "Qty", idCols: ["Region"], fn: "sum", prefix: "" }];
+    const res = await run({ pivotList }, workbook({ S: long }));
+    // "Region" as a key value never overwrites the id column
+    assert.deepStrictEqual(rowsOf(res, "S"), [{ Region: "N", Jan: 7, Feb: 7 }, { Region: "S", Jan: null, Feb: 1 }]);
+  });
+
+  it("prefixes pivoted columns and keeps the first value by default", async function() {
+    const pivotList = [{ keyCol: "Month", valueCol: "Qty", idCols: [], fn: "first", prefix: "m_" }];
+    const res = await run({ pivotList }, workbook({ S: long }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [
+      { Region: "N", m_Jan: 5, m_Feb: 7, m_Region: null },
+      { Region: "S", m_Jan: null, m_Feb: 1, m_Region: 9 }
+    ]);
+  });
+
+  it("only reshapes the sheets in scope", async function() {
+    const pivotList = [{ sheetScope: "^Other", sheetScopeType: "regex", keyCol: "Month", valueCol: "Qty", idCols: ["Region"], fn: "sum" }];
+    const res = await run({ pivotList }, workbook({ S: long }));
+    assert.deepStrictEqual(rowsOf(res, "S"), long);
+  });
+});
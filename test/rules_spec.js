@@ -0,0 +1,50 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+const rule = (col, op, rhs, extra = {}) => ({ col, colType: "str", op, rhs, rhsType: typeof rhs === "number" ? "num" : "str", ...extra });
+const group = (logic, rules, not = false) => ({ type: "group", logic, not, rules });
+const onSheet = (sheet) => ({ sheetScope: sheet, sheetScopeType: "str" });
+
+describe("row filters: rule groups", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ id: 1, s: "OK", n: 5 }, { id: 2, s: "KO", n: 5 }, { id: 3, s: "KO", n: 0 }];
+
+  it("combines nested groups with AND / OR / NOT", async function() {
+    const res = await run({
+      filterLogic: "AND",
+      rules: [group("OR", [rule("s", "==", "OK"), rule("n", ">", 1)]), group("AND", [rule("id", "==", 2)], true)]
+    }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S").map(r => r.id), [1]);
+  });
+
+  it("ignores empty groups", async function() {
+    const res = await run({ rules: [group("OR", []), rule("n", ">", 1)] }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S").map(r => r.id), [1, 2]);
+  });
+
+  it("leaves a NOT over a rule scoped to another sheet out of the result", async function() {
+    const res = await run({
+      rules: [group("AND", [rule("s", "==", "KO", onSheet("S1"))], true)]
+    }, workbook({ S1: rows, S2: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S1").map(r => r.id), [1]);
+    assert.deepStrictEqual(rowsOf(res, "S2").map(r => r.id), [1, 2, 3]);
+  });
+
+  it("tests each sheet on its own rule in an OR of sheet-scoped rules", async function() {
+    const res = await run({
+      filterLogic: "OR",
+      rules: [rule("s", "==", "OK", onSheet("S1")), rule("n", "==", 0, onSheet("S2"))]
+    }, workbook({ S1: rows, S2: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S1").map(r => r.id), [1]);
+    assert.deepStrictEqual(rowsOf(res, "S2").map(r => r.id), [3]);
+  });
+
+  it("keeps a sheet-scoped rule out of a mixed OR on other sheets", async function() {
+    const res = await run({
+      rules: [group("OR", [rule("s", "==", "OK", onSheet("S1")), rule("n", "==", 0)])]
+    }, workbook({ S1: rows, S2: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S1").map(r => r.id), [1, 3]);
+    assert.deepStrictEqual(rowsOf(res, "S2").map(r => r.id), [3]);
+  });
+});
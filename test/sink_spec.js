@@ -0,0 +1,57 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { helper, userDir, run, load, send } = require("./lib/run");
+
+describe("write to file", function() {
+  afterEach(function() { return helper.unload(); });
+  beforeEach(function() { fs.rmSync(path.join(userDir, "exports"), { recursive: true, force: true }); });
+
+  const read = (p) => fs.readFileSync(path.join(userDir, p), "utf8");
+  const sink = (sinkPath, extra = {}) => ({ sinkEnabled: true, sinkPath, ...extra });
+  const book = (files) => ({ data: { data: files } });
+
+  it("writes one CSV per sheet and lists the files", async function() {
+    const res = await run(sink("exports/{file}/{sheet}.csv"), book({ "/in/Orders.xlsx": { S1: [{ a: 1 }, { a: 2 }], S2: [{ b: "x" }] } }));
+    assert.strictEqual(read("exports/Orders/S1.csv"), "a\n1\n2\n");
+    assert.strictEqual(read("exports/Orders/S2.csv"), "b\nx\n");
+    assert.deepStrictEqual(res.sent[0][0].filtered.summary.files, [
+      { path: path.join("exports", "Orders", "S1.csv"), status: "written", rows: 2 },
+      { path: path.join("exports", "Orders", "S2.csv"), status: "written", rows: 1 }
+    ]);
+  });
+
+  it("adds the parent folder to {file} when two workbooks share a name", async function() {
+    await run(sink("exports/{file}.ndjson"), book({ "/in/Orders.xlsx": { S: [{ a: 1 }] }, "/out/Orders.xlsx": { S: [{ a: 2 }] }, "Other.xlsx": { S: [{ a: 3 }] } }));
+    assert.strictEqual(read("exports/in_Orders.ndjson"), '{"_sheet":"S","a":1}\n');
+    assert.strictEqual(read("exports/out_Orders.ndjson"), '{"_sheet":"S","a":2}\n');
+    assert.strictEqual(read("exports/Other.ndjson"), '{"_sheet":"S","a":3}\n');
+  });
+
+  it("appends to CSV without repeating the header and extends JSON arrays", async function() {
+    const node = await load(sink("exports/all.csv", { sinkMode: "append" }));
+    await send(node, book({ "a.xlsx": { S: [{ a: 1 }] } }));
+    await send(node, book({ "b.xlsx": { S: [{ a: 2 }] } }));
+    assert.strictEqual(read("exports/all.csv"), "_file,_sheet,a\na.xlsx,S,1\nb.xlsx,S,2\n");
+    await helper.unload();
+
+    const json = await load(sink("exports/all.json", { sinkMode: "append", streamMode: "rows", streamChunkSize: 1 }));
+    await send(json, book({ "a.xlsx": { S: [{ a: 1 }, { a: 2 }] } }));
+    const res = await send(json, book({ "a.xlsx": { S: [{ a: 3 }] } }));
+    assert.deepStrictEqual(JSON.parse(read("exports/all.json")).map(r => r.a), [1, 2, 3]);
+    assert.deepStrictEqual(res.sent[res.sent.length - 1][0].filtered.summary.files, [{ path: path.join("exports", "all.json"), status: "appended", rows: 1 }]);
+  });
+
+  it("skips existing files in skip mode", async function() {
+    fs.mkdirSync(path.join(userDir, "exports"), { recursive: true });
+    fs.writeFileSync(path.join(userDir, "exports", "S.csv"), "keep\n");
+    const res = await run(sink("exports/{sheet}.csv", { sinkMode: "skip" }), book({ "a.xlsx": { S: [{ a: 1 }] } }));
+    assert.strictEqual(read("exports/S.csv"), "keep\n");
+    assert.strictEqual(res.sent[0][0].filtered.summary.files[0].status, "skipped");
+  });
+
+  it("refuses paths outside userDir", async function() {
+    const res = await run(sink("../escape.csv"), book({ "a.xlsx": { S: [{ a: 1 }] } }));
+    assert.match(res.error.message, /outside userDir/);
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require("assert");
+const { helper, run, workbook } = require("./lib/run");
+const xlsxFilterNode = require("../xlsx-filter.js");
+const splitNodes = require("@node-red/nodes/core/sequence/17-split.js");
+
+describe("streaming", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [1, 2, 3, 4, 5].map(id => ({ id }));
+
+  it("sends chunks of N rows with len N and the count on the last part", async function() {
+    const res = await run({ streamMode: "rows", streamChunkSize: 2 }, workbook({ S: rows }));
+    const msgs = res.sent.map(s => s[0]);
+    const chunks = msgs.slice(0, -1);
+    assert.deepStrictEqual(chunks.map(m => m.filtered.map(r => r.id)), [[1, 2], [3, 4], [5]]);
+    assert.deepStrictEqual(chunks.map(m => [m.parts.index, m.parts.len, m.parts.count]), [[0, 2, undefined], [1, 2, undefined], [2, 2, 3]]);
+    assert.strictEqual(new Set(chunks.map(m => m.parts.id)).size, 1);
+    assert.strictEqual(chunks[0].data, undefined);
+  });
+
+  it("sends one sheet per message with len 1", async function() {
+    const res = await run({ streamMode: "sheet" }, workbook({ A: rows.slice(0, 1), B: rows.slice(1) }));
+    const chunks = res.sent.slice(0, -1).map(s => s[0]);
+    assert.deepStrictEqual(chunks.map(m => [m.xlsxChunk.sheet, m.parts.len, m.filtered.length]), [["A", 1, 1], ["B", 1, 4]]);
+    assert.strictEqual(chunks[1].parts.count, 2);
+  });
+
+  it("closes the stream with a summary message that is a sequence of its own", async function() {
+    const res = await run({ streamMode: "rows", streamChunkSize: 2 }, workbook({ S: rows }));
+    const chunk = res.sent[0][0], last = res.sent[res.sent.length - 1][0];
+    assert.strictEqual(last.filtered.complete, true);
+    assert.strictEqual(last.filtered.chunks, 3);
+    assert.notStrictEqual(last.parts.id, chunk.parts.id);
+    assert.deepStrictEqual({ ...last.parts, id: 0 }, { id: 0, index: 0, count: 1, type: "object", key: "summary", property: "filtered" });
+  });
+
+  it("is rebuilt by a join node in automatic mode", async function() {
+    await helper.load([xlsxFilterNode, splitNodes], [
+      { id: "f1", type: "xlsx-filter", streamMode: "rows", streamChunkSize: 2, wires: [["j1"], [], []] },
+      { id: "j1", type: "join", mode: "auto", wires: [["h1"]] },
+      { id: "h1", type: "helper" }
+    ]);
+    const received = [], warns = [];
+    helper.getNode("j1").warn = function(w) { warns.push(w); };
+    await new Promise(resolve => {
+      helper.getNode("h1").on("input", function(msg) { received.push(msg); if (received.length === 2) resolve(); });
+      helper.getNode("f1").receive(workbook({ S: rows }));
+    });
+    assert.deepStrictEqual(received[0].filtered.map(r => r.id), [1, 2, 3, 4, 5]);
+    assert.strictEqual(received[1].filtered.summary.complete, true);
+    assert.deepStrictEqual(warns, []);
+  });
+
+  it("fails when the output destination is not msg", async function() {
+    const res = await run({ streamMode: "sheet", outputTargetType: "flow" }, workbook({ S: rows }));
+    assert.match(String(res.error && res.error.message), /must be msg/);
+    assert.strictEqual(res.sent.length, 0);
+  });
+});
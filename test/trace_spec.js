@@ -0,0 +1,37 @@
+const assert = require("assert");
+const { helper, run, workbook } = require("./lib/run");
+
+describe("trace", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [{ Qty: "0", s: "OK" }, { Qty: 3, s: "OK" }, { Qty: 4, s: "KO" }];
+
+  it("explains rule results for the first N rows of each sheet", async function() {
+    const res = await run({
+      traceEnabled: true, traceSampleRows: 2,
+      rules: [
+        { col: "Qty", colType: "str", op: ">", rhs: "0", rhsType: "num" },
+        { col: "s", colType: "str", op: "==", rhs: "OK", rhsType: "str" }
+      ]
+    }, workbook({ S: rows }));
+    const trace = res.sent[0][0].filtered.trace;
+    assert.strictEqual(trace.length, 1);
+    assert.deepStrictEqual(trace[0].rows.map(r => [r.index, r.passed]), [[0, false], [1, true]]);
+    const first = trace[0].rows[0].rules;
+    assert.strictEqual(first.length, 1); // AND stops at the first failure
+    assert.deepStrictEqual(first[0], {
+      rule: "1", op: ">", applies: true, cols: ["Qty"], rhs: 0,
+      lhs: [{ col: "Qty", value: 0, result: false }], result: false
+    });
+  });
+
+  it("records expression errors", async function() {
+    const res = await run({
+      traceEnabled: true,
+      rules: [{ col: "s", colType: "str", op: "==", rhs: "$x(", rhsType: "jsonata" }]
+    }, workbook({ S: rows.slice(0, 1) }));
+    const rule = res.sent[0][0].filtered.trace[0].rows[0].rules[0];
+    assert.strictEqual(rule.result, false);
+    assert.ok(rule.error);
+  });
+});
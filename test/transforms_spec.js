@@ -0,0 +1,38 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+describe("value transforms", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [
+    { Region: " North ", Amount: "1 234,50", Code: "A B  C", D: "05/02/2024", Note: "" },
+    { Region: "", Amount: "(12,50)", Code: "x", D: 45000, Note: "hi" },
+    { Amount: "€ 12", Code: "y", D: "bad" }
+  ];
+  const step = (col, op, arg, extra = {}) => ({ col, colType: "str", op, ...(arg === undefined ? {} : { arg }), ...extra });
+
+  it("cleans values in list order before the row filters", async function() {
+    const valueTransforms = [step("Region", "trim"), step("Region", "fillDown"), step("Region", "upper")];
+    const rules = [{ col: "Region", colType: "str", op: "==", rhs: "NORTH", rhsType: "str" }];
+    const res = await run({ valueTransforms, rules }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S").map(r => r.Region), ["NORTH", "NORTH", "NORTH"]);
+  });
+
+  it("parses numbers and dates, leaving unparsable values as they are", async function() {
+    const valueTransforms = [step("Amount", "number", ","), step("D", "date", "date")];
+    const res = await run({ valueTransforms }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S").map(r => [r.Amount, r.D]), [[1234.5, "2024-02-05"], [-12.5, "2023-03-15"], [12, "bad"]]);
+  });
+
+  it("replaces matches and fills defaults", async function() {
+    const valueTransforms = [step("Code", "replace", "\\s+", { arg2: "" }), step("Note", "default", "n/a")];
+    const res = await run({ valueTransforms }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S").map(r => [r.Code, r.Note]), [["ABC", "n/a"], ["x", "hi"], ["y", "n/a"]]);
+  });
+
+  it("only touches the sheets in scope", async function() {
+    const valueTransforms = [step("Amount", "number", ",", { sheetScope: "Other", sheetScopeType: "str" })];
+    const res = await run({ valueTransforms }, workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S").map(r => r.Amount), ["1 234,50", "(12,50)", "€ 12"]);
+  });
+});
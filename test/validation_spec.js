@@ -0,0 +1,48 @@
+const assert = require("assert");
+const { helper, run, workbook, rowsOf } = require("./lib/run");
+
+describe("validation", function() {
+  afterEach(function() { return helper.unload(); });
+
+  const rows = [
+    { Id: 1, Qty: 5, St: "OK", D: "2024-01-05" },
+    { Id: 1, Qty: "n/a", St: "XX", D: "nope" },
+    { Id: 3, Qty: 2000, St: "", D: "2023-12-01" }
+  ];
+  const list = [
+    { col: "Id", colType: "str", required: true, type: "number", unique: true },
+    { col: "Qty", colType: "str", type: "number", min: "0", max: "1000" },
+    { col: "St", colType: "str", required: true, allowed: "OK,KO" },
+    { col: "D", colType: "str", type: "date", min: "2024-01-01" }
+  ];
+  const config = (action, extra = {}) => ({ validationEnabled: true, validationAction: action, validationList: list, ...extra });
+
+  it("flags invalid rows with the failed checks", async function() {
+    const res = await run(config("flag"), workbook({ S: rows }));
+    const out = rowsOf(res, "S");
+    assert.strictEqual(out.length, 3);
+    assert.strictEqual(out[0]._invalid, undefined);
+    assert.deepStrictEqual(out[1]._invalid.map(f => [f.col, f.check]), [["Id", "unique"], ["Qty", "type"], ["St", "allowed"], ["D", "type"]]);
+    assert.deepStrictEqual(out[2]._invalid.map(f => [f.col, f.check]), [["Qty", "max"], ["St", "required"], ["D", "min"]]);
+    const v = res.sent[0][0].filtered.validation;
+    assert.deepStrictEqual([v.action, v.checked, v.invalid, v.violations.length], ["flag", 3, 2, 7]);
+    assert.deepStrictEqual(v.violations[0], { file: "book.xlsx", sheet: "S", row: 1, col: "Id", check: "unique", reason: "duplicate value: 1" });
+  });
+
+  it("drops invalid rows", async function() {
+    const res = await run(config("drop"), workbook({ S: rows }));
+    assert.deepStrictEqual(rowsOf(res, "S"), [rows[0]]);
+    assert.strictEqual(res.sent[0][0].filtered.validation.invalid, 2);
+  });
+
+  it("fails on the first invalid row", async function() {
+    const res = await run(config("fail"), workbook({ S: rows }));
+    assert.strictEqual(res.error.message, 'Validation failed: book.xlsx / S, row 1, column "Id": duplicate value: 1');
+  });
+
+  it("only checks the sheets in scope", async function() {
+    const scoped = [{ sheetScope: "Other", sheetScopeType: "str", col: "Qty", colType: "str", type: "number" }];
+    const res = await run(config("drop", { validationList: scoped }), workbook({ S: rows }));
+    assert.strictEqual(rowsOf(res, "S").length, 3);
+  });
+});
@@ -10,17 +10,89 @@ function deepClone(obj) {
   return JSON.parse(JSON.stringify(obj || {}));
 }
 
+function isPlainObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// A rules entry is either a leaf rule or a group { type: "group", logic, not, rules: [...] }
+function isRuleGroup(r) {
+  return !!r && typeof r === "object" && r.type === "group";
+}
+
+function normalizeRuleTree(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter(r => r && typeof r === "object").map(r => isRuleGroup(r)
+    ? { type: "group", logic: r.logic === "OR" ? "OR" : "AND", not: !!r.not, rules: normalizeRuleTree(r.rules) }
+    : r);
+}
+
+function countRules(list) {
+  let n = 0;
+  for (const r of (list || [])) n += isRuleGroup(r) ? countRules(r.rules) : 1;
+  return n;
+}
+
+// Row-level condition { logic, rules } (conditional blocks, derive "when"): a rule tree like the
+// row filters. null when missing or empty, i.e. always true
+function normalizeWhen(w) {
+  if (!isPlainObject(w) || !Array.isArray(w.rules) || !w.rules.length) return null;
+  return { logic: w.logic === "OR" ? "OR" : "AND", rules: normalizeRuleTree(w.rules) };
+}
+
+function normalizeDeriveList(list) {
+  return Array.isArray(list) ? list.map(d => isPlainObject(d) && d.when ? { ...d, when: normalizeWhen(d.when) } : d) : [];
+}
+
+// Stages that can be ordered (and repeated) in schema.pipeline, in their default order. Header
+// normalization runs before them (it names the columns they refer to); aggregate, order and diff
+// run after them, since with flat output they work on the rows of every sheet together.
+const PIPELINE_STEPS = ["valueTransforms", "filter", "select", "rename", "conditionalRename", "derive",
+  "join", "validation", "unpivot", "pivot"];
+// Steps that take the rows of the sheet as a whole rather than one at a time
+const SHEET_STEPS = new Set(["join", "validation", "unpivot", "pivot"]);
+
+// [{step, sheetScope?, sheetScopeType?, enabled?, ...own settings}]; nothing valid = default order
+function normalizePipeline(list) {
+  const steps = Array.isArray(list)
+    ? list.filter(s => isPlainObject(s) && PIPELINE_STEPS.includes(s.step))
+      .map(s => s.step === "filter" && Array.isArray(s.rules) ? { ...s, rules: normalizeRuleTree(s.rules) }
+        : s.step === "conditionalRename" && s.when ? { ...s, when: normalizeWhen(s.when) }
+        : s.step === "derive" && Array.isArray(s.list) ? { ...s, list: normalizeDeriveList(s.list) } : s)
+    : [];
+  return steps.length ? steps : PIPELINE_STEPS.map(step => ({ step }));
+}
+
 function withDefaults(schema = {}) {
   // Ensure a complete schema shape with defaults
   return {
     inputPath: schema.inputPath ?? "data",
     inputPathType: schema.inputPathType ?? "msg",
+    // auto | map (xlsx-reader { data }) | rows | sheets ({ sheet: rows }) | arrays (header row) | flat (_file/_sheet)
+    inputFormat: schema.inputFormat ?? "auto",
+    inputFile: schema.inputFile ?? "input",   // file label for rows / sheets / arrays
+    inputSheet: schema.inputSheet ?? "Sheet1", // sheet label for rows / arrays
+    inputHeaderRow: Math.max(0, Number(schema.inputHeaderRow) || 0), // arrays: index of the header row
 
     includeSheetRegex: schema.includeSheetRegex ?? "",
     excludeSheetRegex: schema.excludeSheetRegex ?? "",
 
+    // Header normalization (first stage). aliases: [{name, variants[]}]
+    headers: {
+      enabled: schema.headers?.enabled ?? false,
+      trim: schema.headers?.trim ?? true,
+      collapseSpaces: schema.headers?.collapseSpaces ?? true,
+      stripAccents: schema.headers?.stripAccents ?? false,
+      case: schema.headers?.case ?? "none",             // none | lower | upper | snake | camel
+      duplicates: schema.headers?.duplicates ?? "suffix", // suffix | first | last | merge
+      readerSuffix: schema.headers?.readerSuffix ?? true, // "Name_1" next to "Name" is a duplicate of "Name"
+      aliases: Array.isArray(schema.headers?.aliases) ? schema.headers.aliases : []
+    },
+
+    // [{sheetScope,sheetScopeType,col,colType,op,arg,arg2}] — cleaned before the row filters
+    valueTransforms: Array.isArray(schema.valueTransforms) ? schema.valueTransforms : [],
+
     filterLogic: schema.filterLogic ?? "AND",
-    rules: Array.isArray(schema.rules) ? schema.rules : [],
+    rules: normalizeRuleTree(schema.rules),
 
     selectMode: schema.selectMode ?? "none",
     selectList: Array.isArray(schema.selectList) ? schema.selectList : [],
@@ -34,23 +106,356 @@ function withDefaults(schema = {}) {
       op: schema.conditionalRename?.op ?? "==",
       rhsType: schema.conditionalRename?.rhsType ?? "str",
       rhs: schema.conditionalRename?.rhs ?? "",
-      list: Array.isArray(schema.conditionalRename?.list) ? schema.conditionalRename.list : []
+      list: Array.isArray(schema.conditionalRename?.list) ? schema.conditionalRename.list : [],
+      // More blocks, each with a row-level condition: [{name,sheetScope,sheetScopeType,enabled,when:{logic,rules},list}]
+      blocks: Array.isArray(schema.conditionalRename?.blocks)
+        ? schema.conditionalRename.blocks.filter(isPlainObject).map(b => ({ ...b, when: normalizeWhen(b.when), list: Array.isArray(b.list) ? b.list : [] }))
+        : []
+    },
+
+    // [{col, exprType, expr, when?:{logic,rules}, fallback?, fallbackType?}]
+    deriveList: normalizeDeriveList(schema.deriveList),
+
+    // Order of the stages from valueTransforms to pivot. A step without its own rules/list uses the section settings
+    pipeline: normalizePipeline(schema.pipeline),
+
+    joinList: Array.isArray(schema.joinList) ? schema.joinList : [],
+
+    // [{sheetScope,sheetScopeType,col,colType,idCols[],keyName,valueName,dropEmpty}]
+    unpivotList: Array.isArray(schema.unpivotList) ? schema.unpivotList : [],
+    // [{sheetScope,sheetScopeType,keyCol,valueCol,idCols[],fn,sep,prefix}]
+    pivotList: Array.isArray(schema.pivotList) ? schema.pivotList : [],
+
+    // [{sheetScope,sheetScopeType,col,colType,required,type,pattern,allowed,min,max,unique}]
+    validation: {
+      enabled: schema.validation?.enabled ?? false,
+      action: schema.validation?.action ?? "flag", // flag | drop | fail
+      list: Array.isArray(schema.validation?.list) ? schema.validation.list : []
+    },
+
+    aggregate: {
+      enabled: schema.aggregate?.enabled ?? false,
+      groupBy: Array.isArray(schema.aggregate?.groupBy) ? schema.aggregate.groupBy : [],
+      list: Array.isArray(schema.aggregate?.list) ? schema.aggregate.list : []
+    },
+
+    sortList: Array.isArray(schema.sortList) ? schema.sortList : [],
+
+    dedupe: {
+      enabled: schema.dedupe?.enabled ?? false,
+      keys: Array.isArray(schema.dedupe?.keys) ? schema.dedupe.keys : [],
+      keep: schema.dedupe?.keep ?? "first"
+    },
+
+    paging: {
+      offset: Number(schema.paging?.offset) || 0,
+      limit: Number(schema.paging?.limit) || 0
+    },
+
+    // Change detection: compare with the previous run kept in node context (store "" = default).
+    // keys: [{sheetScope,sheetScopeType,col,colType}], none for a sheet = whole row
+    diff: {
+      enabled: schema.diff?.enabled ?? false,
+      keys: Array.isArray(schema.diff?.keys) ? schema.diff.keys : [],
+      store: schema.diff?.store ?? ""
     },
 
-    deriveList: Array.isArray(schema.deriveList) ? schema.deriveList : [],
+    trace: {
+      enabled: schema.trace?.enabled ?? false,
+      sampleRows: Number(schema.trace?.sampleRows ?? 20) || 0
+    },
+
+    // Failing JSONata / regex: lenient (false / no value) | warn (counted in summary.errors) | strict (stop the message)
+    errorPolicy: schema.errorPolicy ?? "lenient",
+
+    streaming: {
+      mode: schema.streaming?.mode ?? "off",
+      chunkSize: Math.max(1, Number(schema.streaming?.chunkSize) || 1000)
+    },
+
+    // File sink under userDir. path placeholders: {file} {sheet} {date} {time} {timestamp} {msg.<prop>}
+    sink: {
+      enabled: schema.sink?.enabled ?? false,
+      path: schema.sink?.path ?? "exports/{file}/{sheet}.csv",
+      format: schema.sink?.format ?? "auto", // auto (by extension) | json | ndjson | csv
+      mode: schema.sink?.mode ?? "overwrite"  // overwrite | append | skip (if the file exists)
+    },
 
     output: {
       targetType: schema.output?.targetType ?? "msg",
       targetPath: schema.output?.targetPath ?? "filtered",
-      structure: schema.output?.structure ?? "hierarchical",
-      includeSummary: schema.output?.includeSummary ?? true
+      structure: schema.output?.structure ?? "hierarchical", // hierarchical | flat | csv | ndjson | table
+      includeSummary: schema.output?.includeSummary ?? true,
+      combine: schema.output?.combine ?? false, // csv/ndjson/table: one result for all sheets (with _file/_sheet)
+      csv: {
+        delimiter: schema.output?.csv?.delimiter || ",",
+        quote: schema.output?.csv?.quote ?? "auto", // auto | all
+        header: schema.output?.csv?.header ?? true
+      }
+    }
+  };
+}
+
+// Schema keys by section, for per-message overrides (msg.xlsxFilter) and their allow-list
+const OVERRIDE_SECTIONS = {
+  input: ["inputPath", "inputPathType", "inputFormat", "inputFile", "inputSheet", "inputHeaderRow",
+    "includeSheetRegex", "excludeSheetRegex"],
+  headers: ["headers"],
+  valueTransforms: ["valueTransforms"],
+  rules: ["filterLogic", "rules"],
+  select: ["selectMode", "selectList"],
+  rename: ["renameList", "conditionalRename"],
+  derive: ["deriveList"],
+  pipeline: ["pipeline"],
+  join: ["joinList"],
+  validation: ["validation"],
+  reshape: ["unpivotList", "pivotList"],
+  aggregate: ["aggregate"],
+  order: ["sortList", "dedupe", "paging"],
+  diff: ["diff"],
+  output: ["output", "trace", "streaming", "errorPolicy"],
+  sink: ["sink"]
+};
+// Writing files stays off-limits unless explicitly allowed
+const OVERRIDE_DEFAULT = Object.keys(OVERRIDE_SECTIONS).filter(k => k !== "sink");
+
+// Profile slots of an xlsx-filter node (profile1..profile4 config-node references). Fixed slots, not
+// an id list: Node-RED only tracks single-id properties as config-node users (export, copy, unused
+// config cleanup). A profile can be based on another one, so a slot may stack several profiles.
+const PROFILE_SLOTS = 4;
+
+// --------- config file format: version, migrations, validation ----------
+const CONFIG_VERSION = 1;
+
+// Upgrade steps keyed by the version they upgrade from (N -> N + 1), applied in order on load.
+// Version 0 is a bare schema object, without the { version, updatedAt, schema } wrapper.
+const CONFIG_MIGRATIONS = {
+  0: (obj) => ({ version: 1, schema: obj })
+};
+
+function migrateConfig(obj) {
+  if (!isPlainObject(obj)) throw configError(["The config must be a JSON object."]);
+  let version = obj.version ?? ("schema" in obj ? 1 : 0);
+  if (!Number.isInteger(version) || version < 0) throw configError([`version must be a whole number (got ${JSON.stringify(obj.version)}).`]);
+  if (version > CONFIG_VERSION) {
+    throw configError([`version ${version} is newer than this node supports (${CONFIG_VERSION}); update node-red-contrib-xlsx-filter.`]);
+  }
+  let out = deepClone(obj);
+  while (version < CONFIG_VERSION) {
+    out = CONFIG_MIGRATIONS[version](out);
+    out.version = ++version;
+  }
+  return out;
+}
+
+// JSON-schema-style description of the schema: type, enum, properties (+ additionalProperties),
+// items, required, minimum; ref names an entry of CONFIG_DEFS, select picks one from the value
+const { SCHEMA_SPEC, CONFIG_DEFS } = (() => {
+  const str = { type: "string" };
+  const bool = { type: "boolean" };
+  const names = { type: "array", items: str };
+  const scalar = { type: ["string", "number", "boolean", "null"] };
+  const values = { type: ["string", "number", "boolean", "null", "array"] }; // typed values, lists for in/!in
+  const obj = (properties, required) => ({ type: "object", properties, additionalProperties: false, required });
+  const list = (items) => ({ type: "array", items });
+  const oneOf = (...values) => ({ enum: values });
+  const scoped = (props, required) => obj({ sheetScope: str, sheetScopeType: oneOf("str", "regex", "jsonata"), ...props }, required);
+  const colRef = { col: { type: ["string", "array"] }, colType: oneOf("str", "jsonata") };
+  const TYPED = oneOf("str", "num", "bool", "msg", "flow", "global", "env", "jsonata");
+  const DATE_OPS = ["before", "after", "dateBetween", "withinLast", "withinNext", "sameDay", "sameMonth", "sameYear"];
+  const RULE_OPS = ["==", "!=", "<", "<=", ">", ">=", "contains", "!contains", "regex", "startsWith", "endsWith",
+    "in", "!in", "between", "!between", "isEmpty", "!isEmpty", ...DATE_OPS, "jsonata"];
+  const AGG_FNS = ["count", "sum", "avg", "min", "max", "first", "last", "distinctCount", "concat"];
+
+  const COND_OPS = ["==", "!=", "contains", "!contains", "regex", "isEmpty", "!isEmpty", ...DATE_OPS];
+  const renameItem = scoped({
+    from: { type: ["string", "array"] }, fromType: oneOf("str", "jsonata"),
+    to: { type: ["string", "array"] }, toType: oneOf("str", "jsonata")
+  });
+  const when = obj({ logic: oneOf("AND", "OR"), rules: list({ ref: "rule" }) });
+  const deriveItem = obj({ col: str, exprType: oneOf("jsonata"), expr: str, when, fallback: values, fallbackType: TYPED }, ["col", "expr"]);
+  const condition = { whenLhsType: oneOf("msg", "flow", "global", "jsonata"), whenLhs: str, op: oneOf(...COND_OPS), rhsType: TYPED, rhs: values };
+  const transformItem = scoped({
+    ...colRef, op: oneOf("trim", "upper", "lower", "number", "date", "replace", "default", "fillDown"),
+    arg: scalar, arg2: scalar
+  }, ["op"]);
+  const joinItem = scoped({
+    lookupFile: str, lookupSheet: str, leftKeys: names, rightKeys: names,
+    mode: oneOf("left", "inner", "anti"), prefix: str, columns: names, caseSensitive: bool
+  }, ["lookupSheet", "leftKeys"]);
+  const checkItem = scoped({
+    ...colRef, required: bool, type: oneOf("", "number", "string", "bool", "date"), pattern: str,
+    allowed: { type: ["array", "string"] }, min: scalar, max: scalar, unique: bool
+  });
+  const unpivotItem = scoped({ ...colRef, idCols: names, keyName: str, valueName: str, dropEmpty: bool });
+  const pivotItem = scoped({
+    keyCol: str, valueCol: str, idCols: names, fn: oneOf(...AGG_FNS), sep: str, prefix: str
+  }, ["keyCol", "valueCol"]);
+  const step = (props) => scoped({ step: oneOf(...PIPELINE_STEPS), enabled: bool, ...props }, ["step"]);
+
+  const defs = {
+    rule: { select: (v) => isRuleGroup(v) ? "ruleGroup" : "ruleLeaf" },
+    ruleGroup: obj({ type: oneOf("group"), logic: oneOf("AND", "OR"), not: bool, rules: list({ ref: "rule" }) }),
+    ruleLeaf: scoped({
+      ...colRef, op: oneOf(...RULE_OPS), rhs: values, rhsType: oneOf(...TYPED.enum, "col"),
+      caseSensitive: bool, coerce: bool
+    }, ["op"]),
+    // Pipeline steps: the allowed settings depend on `step`
+    step: { select: (v) => isPlainObject(v) && PIPELINE_STEPS.includes(v.step) ? `step:${v.step}` : "step:any" },
+    "step:any": step({}),
+    "step:filter": step({ logic: oneOf("AND", "OR"), rules: list({ ref: "rule" }) }),
+    "step:select": step({ mode: oneOf("none", "keep", "drop"), list: list(scoped(colRef)) }),
+    "step:rename": step({ list: list(renameItem) }),
+    "step:conditionalRename": step({ ...condition, when, list: list(renameItem) }),
+    "step:derive": step({ list: list(deriveItem) }),
+    "step:valueTransforms": step({ list: list(transformItem) }),
+    "step:join": step({ list: list(joinItem) }),
+    "step:validation": step({ action: oneOf("flag", "drop", "fail"), list: list(checkItem) }),
+    "step:unpivot": step({ list: list(unpivotItem) }),
+    "step:pivot": step({ list: list(pivotItem) })
+  };
+
+  const schema = obj({
+    inputPath: str,
+    inputPathType: oneOf("msg", "flow", "global"),
+    inputFormat: oneOf("auto", "map", "rows", "sheets", "arrays", "flat"),
+    inputFile: str,
+    inputSheet: str,
+    inputHeaderRow: { type: "integer", minimum: 0 },
+    includeSheetRegex: str,
+    excludeSheetRegex: str,
+    headers: obj({
+      enabled: bool, trim: bool, collapseSpaces: bool, stripAccents: bool, readerSuffix: bool,
+      case: oneOf("none", "lower", "upper", "snake", "camel"),
+      duplicates: oneOf("suffix", "first", "last", "merge"),
+      aliases: list(obj({ name: str, variants: { type: ["array", "string"] } }, ["name"]))
+    }),
+    valueTransforms: list(transformItem),
+    filterLogic: oneOf("AND", "OR"),
+    rules: list({ ref: "rule" }),
+    selectMode: oneOf("none", "keep", "drop"),
+    selectList: list(scoped(colRef)),
+    renameList: list(renameItem),
+    conditionalRename: obj({
+      enabled: bool, ...condition, list: list(renameItem),
+      blocks: list(scoped({ name: str, enabled: bool, when, list: list(renameItem) }))
+    }),
+    deriveList: list(deriveItem),
+    pipeline: list({ ref: "step" }),
+    joinList: list(joinItem),
+    unpivotList: list(unpivotItem),
+    pivotList: list(pivotItem),
+    validation: obj({ enabled: bool, action: oneOf("flag", "drop", "fail"), list: list(checkItem) }),
+    aggregate: obj({
+      enabled: bool,
+      groupBy: list(scoped(colRef)),
+      list: list(obj({ col: str, fn: oneOf(...AGG_FNS), as: str, sep: str }, ["fn"]))
+    }),
+    sortList: list(obj({ col: str, dir: oneOf("asc", "desc"), type: oneOf("auto", "number", "string", "date") }, ["col"])),
+    dedupe: obj({ enabled: bool, keys: names, keep: oneOf("first", "last") }),
+    paging: obj({ offset: { type: "integer", minimum: 0 }, limit: { type: "integer", minimum: 0 } }),
+    diff: obj({ enabled: bool, keys: list(scoped(colRef)), store: str }),
+    trace: obj({ enabled: bool, sampleRows: { type: "integer", minimum: 0 } }),
+    errorPolicy: oneOf("lenient", "warn", "strict"),
+    streaming: obj({ mode: oneOf("off", "sheet", "rows"), chunkSize: { type: "integer", minimum: 1 } }),
+    sink: obj({
+      enabled: bool, path: str, format: oneOf("auto", "json", "ndjson", "csv"), mode: oneOf("overwrite", "append", "skip")
+    }),
+    output: obj({
+      targetType: oneOf("msg", "flow", "global"), targetPath: str,
+      structure: oneOf("hierarchical", "flat", "csv", "ndjson", "table"),
+      includeSummary: bool, combine: bool,
+      csv: obj({ delimiter: str, quote: oneOf("auto", "all"), header: bool })
+    })
+  });
+
+  return { SCHEMA_SPEC: schema, CONFIG_DEFS: defs };
+})();
+
+// Extra top-level keys (name, description, ...) are allowed next to the schema
+const CONFIG_SPEC = { type: "object", properties: { version: { type: "integer" }, updatedAt: { type: "string" }, schema: SCHEMA_SPEC }, required: ["schema"] };
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+// Collects "<path>: <problem>" messages; stops descending into a value of the wrong type
+function validateSpec(spec, v, at, errors) {
+  if (spec.ref) spec = CONFIG_DEFS[spec.ref];
+  if (spec.select) spec = CONFIG_DEFS[spec.select(v)];
+  if (v === undefined) return errors;
+  if (spec.type) {
+    const types = [].concat(spec.type);
+    const ok = types.some(t => t === "integer" ? Number.isInteger(v) : t === "number" ? typeof v === "number" && isFinite(v) : typeOf(v) === t);
+    if (!ok) { errors.push(`${at}: expected ${types.join(" or ")}, got ${typeOf(v)}.`); return errors; }
+  }
+  if (spec.enum && !spec.enum.includes(v)) {
+    errors.push(`${at}: ${JSON.stringify(v)} is not one of ${spec.enum.map(e => JSON.stringify(e)).join(", ")}.`);
+    return errors;
+  }
+  if (spec.minimum !== undefined && v < spec.minimum) errors.push(`${at}: must be at least ${spec.minimum}.`);
+  if (spec.properties && isPlainObject(v)) {
+    const sub = (k) => at ? `${at}.${k}` : k;
+    for (const k of (spec.required || [])) if (v[k] === undefined) errors.push(`${sub(k)}: required.`);
+    for (const [k, x] of Object.entries(v)) {
+      if (spec.properties[k]) validateSpec(spec.properties[k], x, sub(k), errors);
+      else if (spec.additionalProperties === false) {
+        const near = closestKey(k, Object.keys(spec.properties));
+        errors.push(`${sub(k)}: unknown setting${near ? ` (did you mean "${near}"?)` : ""}.`);
+      }
+    }
+  }
+  if (spec.items && Array.isArray(v)) v.forEach((x, i) => validateSpec(spec.items, x, `${at}[${i}]`, errors));
+  return errors;
+}
+
+// Known key within two edits (or differing only by case) of a misspelt one
+function closestKey(k, keys) {
+  const dist = (a, b) => {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      for (let j = 1; j <= b.length; j++) cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = cur;
     }
+    return prev[b.length];
   };
+  let best = null, bestD = 3;
+  for (const c of keys) {
+    const d = c.toLowerCase() === k.toLowerCase() ? 0 : dist(k, c);
+    if (d < bestD) { best = c; bestD = d; }
+  }
+  return best;
+}
+
+function configError(errors) {
+  const shown = errors.slice(0, 5).join(" ");
+  const err = new Error(`Invalid config: ${shown}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ""}`);
+  err.errors = errors;
+  err.status = 422;
+  return err;
+}
+
+// Parsed file -> { data: migrated config, errors: [] }; migration problems throw
+function checkConfig(parsed) {
+  const data = migrateConfig(parsed);
+  return { data, errors: validateSpec(CONFIG_SPEC, data, "", []) };
+}
+
+function readConfigJSON(p) {
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (e) {
+    if (e.code) throw e; // file system error
+    throw configError([`not valid JSON: ${e.message}`]);
+  }
 }
 
 function makeTemplateJSON() {
   return {
-    version: 1,
+    version: CONFIG_VERSION,
     updatedAt: nowISOString(),
     schema: withDefaults({})
   };
@@ -60,9 +465,11 @@ module.exports = function(RED) {
 
   // -------------------- Admin HTTP endpoints --------------------
   // Path handling: relative paths resolved under userDir; no traversal outside; .json only
-  function resolveSafePath(rawPath) {
+  // (the file sink passes its own extension list)
+  function resolveSafePath(rawPath, exts = [".json"]) {
+    const isConfig = exts.length === 1 && exts[0] === ".json";
     if (!rawPath || typeof rawPath !== "string") {
-      const err = new Error("Invalid config file path.");
+      const err = new Error(isConfig ? "Invalid config file path." : "Invalid file path.");
       err.status = 400; throw err;
     }
     const userDir = RED.settings.userDir || process.cwd();
@@ -77,31 +484,34 @@ module.exports = function(RED) {
       const err = new Error("Path is outside userDir.");
       err.status = 400; throw err;
     }
-    if (path.extname(abs).toLowerCase() !== ".json") {
-      const err = new Error("Config file must have .json extension.");
+    if (!exts.includes(path.extname(abs).toLowerCase())) {
+      const err = new Error(isConfig
+        ? "Config file must have .json extension."
+        : `File must have one of these extensions: ${exts.join(", ")}.`);
       err.status = 400; throw err;
     }
     return abs;
   }
 
   // GET: read config JSON
-  RED.httpAdmin.get("/xlsx-filter/config", async function(req, res) {
+  RED.httpAdmin.get("/xlsx-filter/config", RED.auth.needsPermission("xlsx-filter.read"), async function(req, res) {
     try {
       const p = resolveSafePath(req.query.path);
       if (!fs.existsSync(p)) {
         return res.status(404).json({ missing: true, message: "Config file not found." });
       }
-      const txt = fs.readFileSync(p, "utf8");
-      const json = JSON.parse(txt);
-      return res.json(json);
+      const { data, errors } = checkConfig(readConfigJSON(p));
+      // Invalid content still comes back (data), so the editor can show the errors and load anyway
+      if (errors.length) return res.status(422).json({ error: configError(errors).message, errors, data });
+      return res.json(data);
     } catch (e) {
       const status = e.status || 500;
-      return res.status(status).json({ error: String(e.message || e) });
+      return res.status(status).json({ error: String(e.message || e), errors: e.errors });
     }
   });
 
   // POST: write config JSON (pretty)
-  RED.httpAdmin.post("/xlsx-filter/config", async function(req, res) {
+  RED.httpAdmin.post("/xlsx-filter/config", RED.auth.needsPermission("xlsx-filter.write"), async function(req, res) {
     try {
       const body = req.body || {};
       const p = resolveSafePath(body.path);
@@ -110,7 +520,12 @@ module.exports = function(RED) {
         const err = new Error("Missing or invalid data.");
         err.status = 400; throw err;
       }
-      const toWrite = deepClone(data);
+      const checked = checkConfig(data);
+      if (checked.errors.length) {
+        const err = configError(checked.errors);
+        err.status = 400; throw err;
+      }
+      const toWrite = checked.data;
       // stamp updatedAt if not present
       if (!toWrite.updatedAt) toWrite.updatedAt = nowISOString();
       fs.mkdirSync(path.dirname(p), { recursive: true });
@@ -118,12 +533,12 @@ module.exports = function(RED) {
       return res.json({ ok: true, path: p });
     } catch (e) {
       const status = e.status || 500;
-      return res.status(status).json({ error: String(e.message || e) });
+      return res.status(status).json({ error: String(e.message || e), errors: e.errors });
     }
   });
 
   // POST: create template if missing
-  RED.httpAdmin.post("/xlsx-filter/config/template", async function(req, res) {
+  RED.httpAdmin.post("/xlsx-filter/config/template", RED.auth.needsPermission("xlsx-filter.write"), async function(req, res) {
     try {
       const body = req.body || {};
       const p = resolveSafePath(body.path);
@@ -134,12 +549,49 @@ module.exports = function(RED) {
       const tmpl = makeTemplateJSON();
       fs.writeFileSync(p, JSON.stringify(tmpl, null, 2), "utf8");
       return res.json({ ok: true, path: p, created: true, data: tmpl });
+    } catch (e) {
+      const status = e.status || 500;
+      return res.status(status).json({ error: String(e.message || e), errors: e.errors });
+    }
+  });
+
+  // GET: the sample captured by a deployed node (sheet and column names for the editor)
+  RED.httpAdmin.get("/xlsx-filter/preview/sample", RED.auth.needsPermission("xlsx-filter.read"), function(req, res) {
+    try {
+      const sample = previewSample(String(req.query.id || ""));
+      const sheets = [];
+      for (const [file, map] of Object.entries(sample.data)) {
+        for (const [sheet, rows] of Object.entries(map || {})) {
+          sheets.push({ file, sheet, rows: Array.isArray(rows) ? rows.length : 0, columns: rowColumns(rows) });
+        }
+      }
+      return res.json({ capturedAt: sample.capturedAt, rows: sample.rows, sheets });
     } catch (e) {
       const status = e.status || 500;
       return res.status(status).json({ error: String(e.message || e) });
     }
   });
 
+  // POST: run the editor's (unsaved) schema against that sample
+  RED.httpAdmin.post("/xlsx-filter/preview", RED.auth.needsPermission("xlsx-filter.write"), async function(req, res) {
+    try {
+      const body = req.body || {};
+      const sample = previewSample(String(body.id || ""));
+      let schema = body.schema;
+      if (isPlainObject(schema) && isPlainObject(schema.schema)) schema = schema.schema;
+      if (!isPlainObject(schema)) {
+        const err = new Error("Missing schema."); err.status = 400; throw err;
+      }
+      const errors = validateSpec(SCHEMA_SPEC, schema, "schema", []);
+      if (errors.length) { const err = configError(errors); err.status = 400; throw err; }
+      const keep = Array.isArray(body.ownSettings) ? body.ownSettings.filter(k => typeof k === "string") : null;
+      return res.json(await runPreview(RED, RED.nodes.getNode(body.id), schema, sample, keep));
+    } catch (e) {
+      const status = e.status || 500;
+      return res.status(status).json({ error: String(e.message || e), errors: e.errors });
+    }
+  });
+
   // -------------------- Node implementation --------------------
   function XlsxFilterNode(config) {
     RED.nodes.createNode(this, config);
@@ -151,55 +603,168 @@ module.exports = function(RED) {
     node.lockToFile      = !!config.lockToFile;
     node.watchConfigFile = !!config.watchConfigFile;
 
+    // Extra output ports: [main, rejected rows?, errors?]
+    node.rejectOutput = !!config.rejectOutput;
+    node.errorOutput  = !!config.errorOutput;
+
+    // Profiles (node-level): xlsx-filter-profile config nodes layered under this node's schema
+    node.profileIds = Array.from(new Set(
+      Array.from({ length: PROFILE_SLOTS }, (_, i) => config[`profile${i + 1}`]).filter(Boolean)
+    ));
+    // Schema paths the user set in the editor ("rules", "output.includeSummary"), recorded as they are edited
+    node.ownPaths = Array.isArray(config.ownSettings) ? config.ownSettings.filter(Boolean) : [];
+    node.own = null; // the keys this node sets (partial schema), layered over the profiles
+    node._layered = null; // { sig, own, rt }
+
+    // Per-message schema override (node-level too): msg.<property> merged over the runtime schema
+    node.msgOverride = config.msgOverride ? {
+      property: config.msgOverrideProperty || "xlsxFilter",
+      lists: config.msgOverrideLists || "merge", // merge (append) | replace
+      sections: Array.isArray(config.msgOverrideSections) ? config.msgOverrideSections : OVERRIDE_DEFAULT,
+      cache: new Map(), base: null
+    } : null;
+
+    // Editor preview (node-level): keep the last input, first `rows` rows per sheet
+    node.preview = config.previewCapture ? {
+      rows: Math.max(1, Number(config.previewRows) || 20),
+      sample: null // { capturedAt, rows, msg, data }
+    } : null;
+
     node._watcher = null;
     node.rt = null; // runtime schema (withDefaults), used by processing
 
-    // Build runtime schema from embedded editor config (fallback/default)
-    function embeddedToSchemaObj() {
+    // Build runtime schema from embedded editor config (fallback/default); cfg {} gives the editor defaults
+    function embeddedToSchemaObj(cfg = config) {
       return withDefaults({
-        inputPath: config.inputPath || "data",
-        inputPathType: config.inputPathType || "msg",
+        inputPath: cfg.inputPath || "data",
+        inputPathType: cfg.inputPathType || "msg",
+        inputFormat: cfg.inputFormat || "auto",
+        inputFile: cfg.inputFile || "input",
+        inputSheet: cfg.inputSheet || "Sheet1",
+        inputHeaderRow: Number(cfg.inputHeaderRow) || 0,
+
+        includeSheetRegex: cfg.includeSheetRegex || "",
+        excludeSheetRegex: cfg.excludeSheetRegex || "",
+
+        headers: {
+          enabled: !!cfg.headersEnabled,
+          trim: cfg.hasOwnProperty("headersTrim") ? !!cfg.headersTrim : true,
+          collapseSpaces: cfg.hasOwnProperty("headersCollapseSpaces") ? !!cfg.headersCollapseSpaces : true,
+          stripAccents: !!cfg.headersStripAccents,
+          case: cfg.headersCase || "none",
+          duplicates: cfg.headersDuplicates || "suffix",
+          readerSuffix: cfg.hasOwnProperty("headersReaderSuffix") ? !!cfg.headersReaderSuffix : true,
+          aliases: Array.isArray(cfg.headersAliases) ? cfg.headersAliases : []
+        },
 
-        includeSheetRegex: config.includeSheetRegex || "",
-        excludeSheetRegex: config.excludeSheetRegex || "",
+        valueTransforms: Array.isArray(cfg.valueTransforms) ? cfg.valueTransforms : [],
 
-        filterLogic: config.filterLogic || "AND",
-        rules: Array.isArray(config.rules) ? config.rules : [],
+        filterLogic: cfg.filterLogic || "AND",
+        rules: Array.isArray(cfg.rules) ? cfg.rules : [],
 
-        selectMode: config.selectMode || "none",
-        selectList: Array.isArray(config.selectList) ? config.selectList : [],
+        selectMode: cfg.selectMode || "none",
+        selectList: Array.isArray(cfg.selectList) ? cfg.selectList : [],
 
-        renameList: Array.isArray(config.renameList) ? config.renameList : [],
+        renameList: Array.isArray(cfg.renameList) ? cfg.renameList : [],
 
         conditionalRename: {
-          enabled: !!config.conditionalRenameEnabled,
-          whenLhsType: config.conditionalRenameWhenLhsType || "msg",
-          whenLhs: config.conditionalRenameWhenLhs || "",
-          op: config.conditionalRenameOp || "==",
-          rhsType: config.conditionalRenameRhsType || "str",
-          rhs: config.conditionalRenameRhs || "",
-          list: Array.isArray(config.conditionalRenameList) ? config.conditionalRenameList : []
+          enabled: !!cfg.conditionalRenameEnabled,
+          whenLhsType: cfg.conditionalRenameWhenLhsType || "msg",
+          whenLhs: cfg.conditionalRenameWhenLhs || "",
+          op: cfg.conditionalRenameOp || "==",
+          rhsType: cfg.conditionalRenameRhsType || "str",
+          rhs: cfg.conditionalRenameRhs || "",
+          list: Array.isArray(cfg.conditionalRenameList) ? cfg.conditionalRenameList : [],
+          blocks: Array.isArray(cfg.conditionalRenameBlocks) ? cfg.conditionalRenameBlocks : []
+        },
+
+        deriveList: Array.isArray(cfg.deriveList) ? cfg.deriveList : [],
+
+        pipeline: Array.isArray(cfg.pipeline) ? cfg.pipeline : [],
+
+        joinList: Array.isArray(cfg.joinList) ? cfg.joinList : [],
+
+        unpivotList: Array.isArray(cfg.unpivotList) ? cfg.unpivotList : [],
+        pivotList: Array.isArray(cfg.pivotList) ? cfg.pivotList : [],
+
+        validation: {
+          enabled: !!cfg.validationEnabled,
+          action: cfg.validationAction || "flag",
+          list: Array.isArray(cfg.validationList) ? cfg.validationList : []
+        },
+
+        aggregate: {
+          enabled: !!cfg.aggregateEnabled,
+          groupBy: Array.isArray(cfg.aggregateGroupBy) ? cfg.aggregateGroupBy : [],
+          list: Array.isArray(cfg.aggregateList) ? cfg.aggregateList : []
+        },
+
+        sortList: Array.isArray(cfg.sortList) ? cfg.sortList : [],
+
+        dedupe: {
+          enabled: !!cfg.dedupeEnabled,
+          keys: Array.isArray(cfg.dedupeKeys) ? cfg.dedupeKeys : [],
+          keep: cfg.dedupeKeep || "first"
+        },
+
+        paging: {
+          offset: Number(cfg.pagingOffset) || 0,
+          limit: Number(cfg.pagingLimit) || 0
+        },
+
+        diff: {
+          enabled: !!cfg.diffEnabled,
+          keys: Array.isArray(cfg.diffKeys) ? cfg.diffKeys : [],
+          store: cfg.diffStore || ""
+        },
+
+        trace: {
+          enabled: !!cfg.traceEnabled,
+          sampleRows: cfg.hasOwnProperty("traceSampleRows") ? Number(cfg.traceSampleRows) || 0 : 20
+        },
+
+        errorPolicy: cfg.errorPolicy || "lenient",
+
+        streaming: {
+          mode: cfg.streamMode || "off",
+          chunkSize: Number(cfg.streamChunkSize) || 1000
         },
 
-        deriveList: Array.isArray(config.deriveList) ? config.deriveList : [],
+        sink: {
+          enabled: !!cfg.sinkEnabled,
+          path: cfg.sinkPath || "exports/{file}/{sheet}.csv",
+          format: cfg.sinkFormat || "auto",
+          mode: cfg.sinkMode || "overwrite"
+        },
 
         output: {
-          targetType: config.outputTargetType || "msg",
-          targetPath: config.outputTargetPath || "filtered",
-          structure: config.structure || "hierarchical",
-          includeSummary: config.hasOwnProperty("includeSummary") ? !!config.includeSummary : true
+          targetType: cfg.outputTargetType || "msg",
+          targetPath: cfg.outputTargetPath || "filtered",
+          structure: cfg.structure || "hierarchical",
+          includeSummary: cfg.hasOwnProperty("includeSummary") ? !!cfg.includeSummary : true,
+          combine: !!cfg.outputCombine,
+          csv: {
+            delimiter: cfg.csvDelimiter || ",",
+            quote: cfg.csvQuote || "auto",
+            header: cfg.hasOwnProperty("csvHeader") ? !!cfg.csvHeader : true
+          }
         }
       });
     }
 
     function setRuntimeSchemaFromEmbedded() {
       node.rt = embeddedToSchemaObj();
+      // Layered over profiles: only the settings the user set
+      node.own = pickSettings(node.rt, node.ownPaths);
+      compilePlan(RED, node, node.rt);
     }
 
     function setRuntimeSchemaFromFile(fileObj) {
       // fileObj is the outer {version, updatedAt, schema}
       const safe = withDefaults(fileObj?.schema || {});
       node.rt = safe;
+      node.own = fileObj?.schema || {}; // a file sets exactly the keys it holds
+      compilePlan(RED, node, node.rt);
     }
 
     function loadFileToRuntime(showStatusOnError = true) {
@@ -208,12 +773,14 @@ module.exports = function(RED) {
         if (!fs.existsSync(p)) {
           throw new Error("Config file not found.");
         }
-        const txt = fs.readFileSync(p, "utf8");
-        const parsed = JSON.parse(txt);
-        setRuntimeSchemaFromFile(parsed);
+        const { data, errors } = checkConfig(readConfigJSON(p));
+        if (errors.length) throw configError(errors);
+        setRuntimeSchemaFromFile(data);
         node.status({ fill: "blue", shape: "dot", text: "config loaded" });
         return true;
       } catch (e) {
+        // Every problem (path, JSON, version, schema) with its location in the file
+        node.warn(`config load failed: ${(e.errors || [String(e.message || e)]).join(" ")}`);
         if (showStatusOnError) {
           node.status({ fill: "red", shape: "ring", text: `config load failed: ${String(e.message || e)}` });
         }
@@ -258,29 +825,117 @@ module.exports = function(RED) {
       setRuntimeSchemaFromEmbedded();
     }
 
+    // Own schema layered over the profiles; rebuilt when a profile is redeployed or its file reloads
+    function runtimeSchema() {
+      if (!node.profileIds.length) return node.rt || embeddedToSchemaObj();
+      const own = node.own || {};
+      const chain = profileChain(RED, node.profileIds);
+      const sig = chain.map(c => c.profile ? `${c.id}:${c.profile.stamp}` : `!${c.id}`).join(",");
+      if (node._layered && node._layered.sig === sig && node._layered.own === own) return node._layered.rt;
+      // A missing (deleted, not deployed) profile is skipped, warned once per change
+      const missing = chain.filter(c => !c.profile).map(c => c.id);
+      if (missing.length) node.warn(`Profile ${missing.join(", ")} not found, skipped.`);
+      const profiles = chain.map(c => c.profile).filter(Boolean);
+      const rt = profiles.length ? layerSchemas([...profiles.map(p => p.schema), own]) : (node.rt || embeddedToSchemaObj());
+      compilePlan(RED, node, rt);
+      node._layered = { sig, own, rt };
+      return rt;
+    }
+
     // --------------- message processing ---------------
     node.on("input", async function(msg, send, done) {
-      const rt = node.rt || embeddedToSchemaObj();
+      let rt = null, diff = null;
       try {
         node.status({ fill: "blue", shape: "dot", text: "processing..." });
 
+        rt = runtimeSchema();
+
+        const override = node.msgOverride ? overrideSchema(RED, node, rt, msg) : null;
+        if (override) rt = override.rt;
+
         // Resolve input object at inputPath
         const inputRoot = getRootContainer(node, msg, rt.inputPathType);
         const inputData = inputRoot ? deepGet(inputRoot, rt.inputPath) : undefined;
 
-        // Expect { data: { file: { sheet: rows[] } }, ... }
-        if (!inputData || typeof inputData !== "object" || !inputData.data) {
-          throw new Error("Input missing or invalid. Expect an object with a 'data' map under the configured path.");
-        }
-
-        // Build regexes (sheet only)
-        const incSheet = safeRegex(rt.includeSheetRegex);
-        const excSheet = safeRegex(rt.excludeSheetRegex);
+        // Everything below works on the xlsx-reader map { file: { sheet: rows[] } }
+        const dataMap = adaptInput(rt, inputData);
+        if (node.preview) node.preview.sample = captureSample(rt, msg, dataMap, node.preview.rows);
 
         const resultMap = {};
+        const rejectMap = {};
+        // csv/ndjson/table serialize the hierarchical result (per sheet) or the flat one (combined)
+        const fmt = TEXT_FORMATS.has(rt.output.structure) ? rt.output.structure : null;
+        const flat = fmt ? !!rt.output.combine : rt.output.structure !== "hierarchical";
         let fileCount = 0, sheetCount = 0, rowIn = 0, rowOut = 0;
 
-        for (const [file, sheets] of Object.entries(inputData.data)) {
+        const aggOn = rt.aggregate.enabled && (rt.aggregate.groupBy.length > 0 || rt.aggregate.list.length > 0);
+        const flatGroupCols = []; // flat mode: union of group-by columns across sheets (first-seen order)
+        const orderOn = rt.sortList.length > 0 || rt.dedupe.enabled || rt.paging.offset > 0 || rt.paging.limit > 0;
+        const streaming = rt.streaming.mode === "sheet" || rt.streaming.mode === "rows";
+        if (streaming && rt.output.targetType !== "msg") {
+          throw new Error(`Streaming sends its chunks as messages: the output target must be msg, not ${rt.output.targetType}.`);
+        }
+        // Flat output without streaming: aggregate/order (and then the diff) run on the combined list
+        const flatStages = flat && !streaming && (aggOn || orderOn);
+
+        // Per-message state shared by every sheet
+        const run = await createRun(RED, rt, node, msg, dataMap);
+        // files: abs path -> { report: { path, status, rows }, ... } (see writeSink); labels: workbook -> {file} value
+        run.sink = rt.sink.enabled ? { now: new Date(), files: new Map(), labels: sinkFileLabels(Object.keys(dataMap)) } : null;
+        diff = rt.diff.enabled ? await loadDiff(node, rt) : null;
+
+        // Build regexes (sheet only)
+        const inputError = errorHook(run, { file: null, sheet: null, row: null, stage: "input" });
+        const incSheet = safeRegex(rt.includeSheetRegex, inputError);
+        const excSheet = safeRegex(rt.excludeSheetRegex, inputError);
+
+        // Streaming: each chunk goes out as its own message with msg.parts (join node friendly).
+        // The previous chunk is held back so the last one can carry parts.count.
+        const partsId = RED.util.generateId();
+        let partIndex = 0, pending = null;
+        const headed = new Set(); // sheets (or "" for the combined stream) whose CSV header went out
+        const emitChunk = async (file, sheet, chunk, rows, rejects) => {
+          if (run.sink) await writeSink(RED, rt, msg, run, [{ file, sheet, rows }]);
+          const targetPath = rt.output.targetPath || "payload";
+          const xlsxChunk = { file, sheet, chunk, rows: rows.length };
+          let rm = null;
+          if (node.rejectOutput) {
+            rm = forkWithoutInput(msg, rt, targetPath);
+            RED.util.setMessageProperty(rm, targetPath, flat ? rejects.map(r => ({ _file: file, _sheet: sheet, ...r })) : rejects, true);
+            rm.xlsxChunk = xlsxChunk;
+          }
+          const text = fmt === "csv" || fmt === "ndjson";
+          if (text && !rows.length) {
+            // No text to send (not even a header): only the rejected rows go out
+            if (rm) send(outputArray(node, null, rm, null));
+            return;
+          }
+          if (pending) send(pending);
+          const m = forkWithoutInput(msg, rt, targetPath);
+          let value = flat ? rows.map(r => ({ _file: file, _sheet: sheet, ...r })) : rows;
+          if (fmt) {
+            // CSV header only on the first chunk sent for the sheet (or for the whole stream when combined)
+            const key = flat ? "" : `${file}\u0000${sheet}`;
+            const preferred = flat ? ["_file", "_sheet", ...(run.columnOrder.get(`${file}\u0000${sheet}`) || [])]
+              : run.columnOrder.get(`${file}\u0000${sheet}`);
+            value = formatRows(value, fmt, rt.output, preferred, !headed.has(key));
+            headed.add(key);
+          }
+          RED.util.setMessageProperty(m, targetPath, value, true);
+          m.xlsxChunk = xlsxChunk;
+          if (text) {
+            // text chunks: a join node concatenates them back into one string
+            m.parts = { id: partsId, index: partIndex++, type: "string", ch: "", property: targetPath };
+          } else {
+            // len is the cut size, as with a split node: chunks of N rows (a join node concatenates
+            // them back into one list when N > 1), or one whole sheet per part
+            const len = rt.streaming.mode === "rows" ? rt.streaming.chunkSize : 1;
+            m.parts = { id: partsId, index: partIndex++, type: "array", len, property: targetPath };
+          }
+          pending = outputArray(node, m, rm, null);
+        };
+
+        for (const [file, sheets] of Object.entries(dataMap)) {
           // Skip Office temp lock files (~$...)
           const base = path.basename(file || "");
           if (base.startsWith("~$")) continue;
@@ -294,98 +949,173 @@ module.exports = function(RED) {
             if (!Array.isArray(rows)) continue;
             rowIn += rows.length;
 
-            // 1) Row filters (async per row) — supports multiple columns in a single rule
-            const filtered = [];
-            for (const row of rows) {
-              if (await rowPasses(RED, rt, node, row, msg, sheetName)) filtered.push(row);
-            }
-
-            // 2) Transforms
-            //    IMPORTANT: Select (keep/drop) FIRST — before any renames — so dynamic column names
-            //    match the original headers present in the sheet.
-            let transformed = filtered.map(r => ({ ...r }));
-
-            // 2a) Select keep/drop (sheet-scoped, dynamic column names; array-aware)
-            if (rt.selectMode !== "none" && Array.isArray(rt.selectList) && rt.selectList.length) {
-              const colSet = await buildScopedColumnSet(RED, rt, node, msg, sheetName, rt.selectList);
-              if (rt.selectMode === "keep" && colSet.size) {
-                transformed = transformed.map(r => pickSet(r, colSet));
-              } else if (rt.selectMode === "drop" && colSet.size) {
-                transformed = transformed.map(r => omitSet(r, colSet));
+            const sheetCtx = await prepareSheet(RED, rt, node, msg, run, file, sheetName, rows);
+            const perSheetAgg = aggOn && (!flat || streaming);
+            const perSheetOrder = orderOn && (!flat || streaming);
+
+            // Streaming by rows without whole-sheet stages: filter/transform/emit one chunk at a time
+            if (rt.streaming.mode === "rows" && !perSheetAgg && !perSheetOrder && !sheetCtx.wholeSheet && !diff) {
+              const size = rt.streaming.chunkSize;
+              for (let off = 0, chunk = 0; off < rows.length; off += size, chunk++) {
+                const { out, rejects } = await processRows(RED, rt, node, msg, run, sheetCtx, rows.slice(off, off + size), off);
+                rowOut += out.length;
+                if (out.length || rejects.length) await emitChunk(file, sheetName, chunk, out, rejects);
               }
+              continue;
             }
 
-            // 2b) Static rename (sheet-scoped; arrays supported)
-            if (Array.isArray(rt.renameList) && rt.renameList.length) {
-              const renamed = [];
-              for (const r of transformed) {
-                renamed.push(await renameWithList(RED, rt, node, r, msg, sheetName, rt.renameList));
+            // 1) Pipeline steps (transforms, filters, select, renames, derive, join, validation, reshape)
+            const { out, rejects } = await processRows(RED, rt, node, msg, run, sheetCtx, rows, 0);
+            let transformed = out;
+
+            // 3) Aggregate (group-by). Per sheet, except flat non-streaming output: across sheets, after the loop.
+            if (aggOn) {
+              const groupCols = Array.from(await buildScopedColumnSet(RED, rt, node, msg, sheetName, rt.aggregate.groupBy, stageHook(sheetCtx, "aggregate")));
+              if (perSheetAgg) {
+                transformed = aggregateRows(transformed, groupCols, rt.aggregate.list);
+              } else {
+                for (const c of groupCols) if (!flatGroupCols.includes(c)) flatGroupCols.push(c);
               }
-              transformed = renamed;
             }
 
-            // 2c) Conditional rename (sheet-scoped, message-level condition)
-            if (rt.conditionalRename.enabled && await conditionTrue(RED, rt, node, msg)) {
-              const cRenamed = [];
-              for (const r of transformed) {
-                cRenamed.push(await renameWithList(RED, rt, node, r, msg, sheetName, rt.conditionalRename.list));
-              }
-              transformed = cRenamed;
+            // 4) Dedupe -> sort -> offset/limit. Per sheet, except flat non-streaming output: on the whole list.
+            if (perSheetOrder) {
+              transformed = orderRows(transformed, rt);
             }
 
-            // 2d) Derive columns (JSONata)
-            if (Array.isArray(rt.deriveList) && rt.deriveList.length) {
-              const derived = [];
-              for (const r of transformed) {
-                const out = { ...r };
-                for (const d of rt.deriveList) {
-                  if (!d || !d.col) continue;
-                  if (d.exprType === "jsonata") {
-                    try {
-                      const val = await evalJSONata(RED, node, sanitizeExpr(d.expr || ""), { ...msg, row: r, sheet: sheetName });
-                      out[d.col] = val;
-                    } catch (e) {
-                      // ignore on error
-                    }
-                  }
-                }
-                derived.push(out);
-              }
-              transformed = derived;
+            // 5) Diff against the previous run: only added, changed and removed rows go on
+            if (diff && !flatStages) {
+              const keyCols = Array.from(await buildScopedColumnSet(RED, rt, node, msg, sheetName, rt.diff.keys, stageHook(sheetCtx, "diff")));
+              transformed = diffSheet(diff, file, sheetName, transformed, keyCols);
             }
 
             rowOut += transformed.length;
 
-            if (rt.output.structure === "hierarchical") {
+            if (streaming) {
+              const size = rt.streaming.mode === "rows" ? rt.streaming.chunkSize : Math.max(transformed.length, 1);
+              for (let off = 0, chunk = 0; off < Math.max(transformed.length, 1); off += size, chunk++) {
+                const part = transformed.slice(off, off + size);
+                const rej = chunk === 0 ? rejects : [];
+                if (part.length || rej.length) await emitChunk(file, sheetName, chunk, part, rej);
+              }
+            } else if (!flat) {
               resultMap[file] = resultMap[file] || {};
               resultMap[file][sheetName] = transformed;
+              if (rejects.length) {
+                rejectMap[file] = rejectMap[file] || {};
+                rejectMap[file][sheetName] = rejects;
+              }
             } else {
               resultMap.__flat = resultMap.__flat || [];
               for (const rr of transformed) {
                 resultMap.__flat.push({ _file: file, _sheet: sheetName, ...rr });
               }
+              if (rejects.length) {
+                rejectMap.__flat = rejectMap.__flat || [];
+                for (const rr of rejects) rejectMap.__flat.push({ _file: file, _sheet: sheetName, ...rr });
+              }
             }
           }
         }
 
-        const outObj = (rt.output.structure === "hierarchical")
-          ? { data: resultMap }
-          : { data: resultMap.__flat || [] };
+        if (flatStages) {
+          let flatRows = resultMap.__flat || [];
+          if (aggOn) flatRows = aggregateRows(flatRows, flatGroupCols, rt.aggregate.list);
+          if (orderOn) flatRows = orderRows(flatRows, rt);
+          // The combined list is one snapshot (file and sheet ""), keyed by the unscoped key entries
+          if (diff) {
+            const keyCols = await buildScopedColumnSet(RED, rt, node, msg, "", rt.diff.keys, errorHook(run, { file: null, sheet: null, row: null, stage: "diff" }));
+            flatRows = diffSheet(diff, "", "", flatRows, Array.from(keyCols));
+          }
+          resultMap.__flat = flatRows;
+          rowOut = flatRows.length;
+        }
+
+        // Only a run that got this far replaces the stored snapshot
+        if (diff) await saveDiff(node, rt, diff);
+
+        if (run.sink) {
+          if (!streaming) await writeSink(RED, rt, msg, run, sinkEntries(resultMap, flat));
+          await flushSink(run);
+        }
+
+        const rowRejected = run.rowRejected;
+        const outObj = streaming
+          ? { complete: true, chunks: partIndex }
+          : (!flat ? { data: resultMap } : { data: resultMap.__flat || [] });
+        if (fmt && !streaming) outObj.data = formatData(rt.output, fmt, outObj.data, flat, run.columnOrder);
 
         if (rt.output.includeSummary) {
           outObj.summary = { fileCount, sheetCount, rowIn, rowOut, filteredRatio: rowIn ? (rowOut/rowIn) : null };
-          outObj.rules   = { logic: rt.filterLogic, count: Array.isArray(rt.rules) ? rt.rules.length : 0 };
+          if (override) outObj.summary.override = override.sections;
+          if (node.rejectOutput) outObj.summary.rowRejected = rowRejected;
+          outObj.rules   = { logic: rt.filterLogic, count: countRules(rt.rules) };
+        }
+        if (run.sink) {
+          // Written paths are relative to userDir
+          const files = Array.from(run.sink.files.values(), f => f.report);
+          if (outObj.summary) outObj.summary.files = files;
+          else outObj.files = files;
+        }
+        if (run.errors) {
+          if (outObj.summary) outObj.summary.errors = run.errors.report;
+          else outObj.errors = run.errors.report;
+        }
+        if (run.traceList) outObj.trace = run.traceList;
+        if (run.headerList) outObj.headers = run.headerList;
+        if (run.validation) outObj.validation = run.validation;
+        if (diff) outObj.diff = diff.summary;
+
+        if (streaming) {
+          // Last chunk carries parts.count, then a final summary message closes the stream. It is a
+          // sequence of its own, so a join node in automatic mode passes it on as { summary }
+          if (pending) {
+            (Array.isArray(pending) ? pending[0] : pending).parts.count = partIndex;
+            send(pending);
+          }
+          const summaryMsg = forkWithoutInput(msg, rt, rt.output.targetPath || "payload");
+          RED.util.setMessageProperty(summaryMsg, rt.output.targetPath || "payload", outObj, true);
+          summaryMsg.parts = { id: RED.util.generateId(), index: 0, count: 1, type: "object", key: "summary", property: rt.output.targetPath || "payload" };
+          node.status({ fill: "green", shape: "dot", text: `${rowOut}/${rowIn} rows in ${partIndex} chunks${diffStatus(diff)}${errorStatus(run)}` });
+          send(outputArray(node, summaryMsg, null, null));
+          if (done) done();
+          return;
+        }
+
+        // Rejects travel on their own message (never flow/global), at the same path as the output
+        let rejectMsg = null;
+        if (node.rejectOutput) {
+          const rejObj = !flat
+            ? { data: rejectMap }
+            : { data: rejectMap.__flat || [] };
+          if (outObj.summary) rejObj.summary = outObj.summary;
+          rejectMsg = forkMessage(msg, rt.output.targetPath);
+          RED.util.setMessageProperty(rejectMsg, rt.output.targetPath || "rejected", rejObj, true);
         }
 
         setOutput(RED, node, msg, outObj, rt.output.targetType, rt.output.targetPath);
 
-        node.status({ fill: "green", shape: "dot", text: `${rowOut}/${rowIn} rows` });
-        send(msg);
+        node.status({ fill: "green", shape: "dot", text: (node.rejectOutput
+          ? `${rowOut}/${rowIn} rows, ${rowRejected} rejected`
+          : `${rowOut}/${rowIn} rows`) + diffStatus(diff) + errorStatus(run) });
+        send(outputArray(node, msg, rejectMsg, null));
         if (done) done();
       } catch (err) {
         node.status({ fill: "red", shape: "ring", text: String(err.message || err) });
+        if (node.errorOutput) {
+          // Error port replaces Catch handling: the message carries msg.error like a Catch node would
+          const errMsg = forkMessage(msg, "error");
+          errMsg.error = { message: String(err.message || err), source: { id: node.id, type: node.type, name: node.name } };
+          if (err.details) errMsg.error.details = err.details; // strict error policy: file, sheet, row, stage, expression
+          send(outputArray(node, null, null, errMsg));
+          // A strict-policy failure still reaches Catch nodes: that is what the policy is for
+          if (done) done(rt?.errorPolicy === "strict" ? err : undefined);
+          return;
+        }
         node.error(err, msg);
         if (done) done(err);
+      } finally {
+        if (diff) diff.release();
       }
     });
 
@@ -402,92 +1132,1359 @@ module.exports = function(RED) {
 
   RED.nodes.registerType("xlsx-filter", XlsxFilterNode);
 
-  // ---------------- helpers used by runtime processing ----------------
-
-  function sanitizeExpr(src) {
-    // remove zero-width chars + the common right-arrow from copy/paste
-    return String(src || "").replace(/[\u200B-\u200D\uFEFF\u2192]/g, "").trim();
-  }
+  // -------------------- Profile config node --------------------
+  // A shared (partial) schema, embedded or read from a config file. stamp changes on every load,
+  // so the xlsx-filter nodes using it rebuild their layered schema on their next message.
+  let profileStamp = 0;
 
-  function safeRegex(rx) { try { return rx ? new RegExp(rx) : null; } catch { return null; } }
-  function passNameFilters(name, inc, exc) { if (inc && !inc.test(name)) return false; if (exc && exc.test(name)) return false; return true; }
+  function XlsxFilterProfileNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
 
-  function getRootContainer(node, msg, scope) {
-    if (scope === "msg") return msg;
-    if (scope === "flow") return node.context().flow;
-    if (scope === "global") return node.context().global;
-    return msg; // default
-  }
+    node.name            = config.name || "";
+    node.useConfigFile   = !!config.useConfigFile;
+    node.configFilePath  = config.configFilePath || "";
+    node.watchConfigFile = !!config.watchConfigFile;
+    node.base            = config.base || ""; // profile layered below this one
+    node._watcher = null;
 
-  function deepGet(root, pathStr) {
-    if (!root || !pathStr) return undefined;
-    if (root.get && root.set) return root.get(pathStr); // flow/global context
-    const parts = String(pathStr).split(".").filter(Boolean);
-    let cur = root;
-    for (const p of parts) {
-      if (cur == null) return undefined;
-      cur = cur[p];
+    function embeddedSchema() {
+      try {
+        const s = JSON.parse(config.schema || "{}");
+        const errors = validateSpec(SCHEMA_SPEC, s, "schema", []);
+        if (errors.length) throw configError(errors);
+        return s;
+      } catch (e) {
+        node.warn(`profile schema ignored: ${String(e.message || e)}`);
+        return {};
+      }
     }
-    return cur;
-  }
 
-  function setOutput(RED, node, msg, value, scope, pathStr) {
-    if (scope === "msg") {
-      RED.util.setMessageProperty(msg, pathStr, value, true);
-      return;
-    }
-    const ctx = node.context()[scope]; // flow/global
-    if (!ctx || typeof ctx.get !== "function" || typeof ctx.set !== "function") {
-      RED.util.setMessageProperty(msg, pathStr, value, true);
-      return;
-    }
-    if (!pathStr || !pathStr.trim()) {
-      ctx.set("xlsxFilter", value);
-      return;
-    }
-    const parts = pathStr.split(".").filter(Boolean);
-    const rootKey = parts.shift();
-    if (!rootKey) { ctx.set("xlsxFilter", value); return; }
-    if (parts.length === 0) { ctx.set(rootKey, value); return; }
-    let rootObj = ctx.get(rootKey);
-    if (typeof rootObj !== "object" || rootObj === null) rootObj = {};
-    let cur = rootObj;
-    for (let i=0;i<parts.length-1;i++) {
-      const k = parts[i];
-      if (typeof cur[k] !== "object" || cur[k] === null) cur[k] = {};
-      cur = cur[k];
+    // File wins when enabled; falls back to the embedded schema when it cannot be read
+    function loadSchema() {
+      let schema = embeddedSchema();
+      if (node.useConfigFile && node.configFilePath) {
+        try {
+          const p = resolveSafePath(node.configFilePath);
+          if (!fs.existsSync(p)) throw new Error("Config file not found.");
+          const { data, errors } = checkConfig(readConfigJSON(p));
+          if (errors.length) throw configError(errors);
+          schema = data.schema;
+        } catch (e) {
+          node.warn(`profile config load failed: ${String(e.message || e)}`);
+        }
+      }
+      node.schema = schema;
+      node.stamp = ++profileStamp;
     }
-    cur[parts[parts.length-1]] = value;
-    ctx.set(rootKey, rootObj);
-  }
 
-  // Promise wrapper for Node-RED's callback-style JSONata evaluation
-  async function evalJSONata(RED, node, src, contextObj) {
-    const expr = RED.util.prepareJSONataExpression(src || "", node);
-    return await new Promise((resolve, reject) => {
+    loadSchema();
+
+    if (node.useConfigFile && node.watchConfigFile && node.configFilePath) {
       try {
-        RED.util.evaluateJSONataExpression(expr, contextObj, (err, val) => {
-          if (err) return reject(err);
-          resolve(val);
-        });
+        const p = resolveSafePath(node.configFilePath);
+        let timer = null;
+        node._watcher = () => {
+          clearTimeout(timer);
+          timer = setTimeout(loadSchema, 250);
+        };
+        fs.watchFile(p, { interval: 750 }, node._watcher);
       } catch (e) {
-        reject(e);
+        // ignore watcher errors
       }
+    }
+
+    node.on("close", function() {
+      try {
+        if (node._watcher) fs.unwatchFile(resolveSafePath(node.configFilePath), node._watcher);
+      } catch (e) {}
+      node._watcher = null;
     });
   }
 
-  // Ensure array (undefined/null -> [], scalar -> [scalar], array -> same)
-  function ensureArray(v) {
-    if (Array.isArray(v)) return v;
-    if (v === null || v === undefined) return [];
-    return [v];
+  RED.nodes.registerType("xlsx-filter-profile", XlsxFilterProfileNode);
+
+  // ---------------- helpers used by runtime processing ----------------
+
+  // Sheet row index carried by transformed rows (through joins) until validation removes it
+  const ROW_INDEX = Symbol("xlsxFilterRowIndex");
+
+  // Per-message state shared by every sheet (the caller adds the file sink).
+  // stages: per-sheet row counts after every stage (editor preview)
+  async function createRun(RED, rt, node, msg, dataMap, stages = false) {
+    const run = {
+      data: dataMap,
+      joinCache: new Map(), // lookup indexes, built once per message
+      // error policy warn / strict: { strict, report: { count, stages: {stage: n}, list: [] } }; null when lenient
+      errors: rt.errorPolicy === "warn" || rt.errorPolicy === "strict"
+        ? { strict: rt.errorPolicy === "strict", report: { count: 0, stages: {}, list: [] } }
+        : null,
+      condOn: false,
+      traceList: rt.trace.enabled ? [] : null, // [{ file, sheet, rows: [{ index, passed, rules }] }]
+      headerList: rt.headers.enabled ? [] : null, // [{ file, sheet, mapped: {from: to}, duplicates: [{ name, from[] }] }]
+      validation: ((rt.validation.enabled && rt.validation.list.length) || rt.pipeline.some(s => s.step === "validation" && Array.isArray(s.list)))
+        ? { action: rt.validation.action, checked: 0, invalid: 0, violations: [] }
+        : null,
+      columnOrder: new Map(), // "file\u0000sheet" -> keep-select columns, first in formatted output
+      sink: null,
+      stages,
+      rowRejected: 0
+    };
+    run.condOn = rt.conditionalRename.enabled &&
+      await conditionTrue(RED, node, msg, rt.conditionalRename, errorHook(run, { file: null, sheet: null, row: null, stage: "conditionalRename" }));
+    return run;
   }
 
-  // Dynamic resolver (async when jsonata)
-  async function resolveDynamic(RED, node, msg, val, typ, rowCtx, extras = {}) {
-    switch (typ || "str") {
-      case "str":    return val;
-      case "msg":    return RED.util.getMessageProperty(msg, val);
+  // ---------- Error policy ----------
+  const ERROR_LIST_MAX = 100; // warn: failures listed in full (all are counted)
+
+  // onError(e, expression) for the callers that take one, reporting at `where` ({ file, sheet, row, stage },
+  // updated in place as processing moves on); null when lenient, so failures stay silent
+  function errorHook(run, where) {
+    return run.errors ? (e, expression) => reportError(run.errors, where, e, expression) : null;
+  }
+
+  // Sheet-level work outside the row loop (column lists, aggregate, diff keys)
+  function stageHook(sheetCtx, stage) {
+    sheetCtx.where.stage = stage;
+    sheetCtx.where.row = null;
+    return sheetCtx.onError;
+  }
+
+  function reportError(errors, where, e, expression) {
+    const info = {
+      file: where.file, sheet: where.sheet, row: where.row, stage: where.stage,
+      expression: expression === undefined || expression === null ? null : String(expression),
+      error: String(e?.message || e)
+    };
+    if (errors.strict) {
+      if (e && e.details) throw e; // already reported further down
+      const place = [info.file && info.sheet ? `${info.file} / ${info.sheet}` : null,
+        info.row !== null ? `row ${info.row}` : null, info.expression !== null ? `"${info.expression}"` : null].filter(Boolean);
+      const err = new Error(`Expression failed in ${info.stage}${place.length ? `: ${place.join(", ")}` : ""}: ${info.error}`);
+      err.details = info;
+      throw err;
+    }
+    const r = errors.report;
+    r.count++;
+    r.stages[info.stage] = (r.stages[info.stage] || 0) + 1;
+    if (r.list.length < ERROR_LIST_MAX) r.list.push(info);
+  }
+
+  function errorStatus(run) {
+    return run.errors && run.errors.report.count ? `, ${run.errors.report.count} errors` : "";
+  }
+
+  // Per-sheet values that do not depend on the row (pipeline steps, trace bucket)
+  async function prepareSheet(RED, rt, node, msg, run, file, sheet, rows) {
+    const ctx = {
+      file, sheet, steps: [], trace: null, traced: null, stages: run.stages ? [] : null,
+      plan: node.plan ? new Map() : null, // without a compiled plan every part is evaluated per row
+      condMsg: { ...msg, file }, // conditions and derive expressions also see `file`
+      headerMap: null, indexed: false, wholeSheet: false, // see prepareSteps
+      where: { file, sheet, row: null, stage: null }, onError: null // error policy position and hook
+    };
+    ctx.onError = errorHook(run, ctx.where);
+    if (run.headerList) {
+      const hm = buildHeaderMap(rt.headers, node, rows);
+      if (hm.changed) {
+        ctx.headerMap = hm.map;
+        run.headerList.push({ file, sheet, mapped: hm.mapped, duplicates: hm.duplicates });
+      }
+    }
+    ctx.steps = await prepareSteps(RED, rt, node, msg, run, ctx);
+    // Rows reaching a sheet step carry their sheet row index (validation, trace, error positions)
+    ctx.indexed = ctx.steps.some(st => SHEET_STEPS.has(st.step));
+    // A pivot needs every row of the sheet at once (no chunked streaming)
+    ctx.wholeSheet = ctx.steps.some(st => st.step === "pivot");
+    if (run.traceList) {
+      ctx.trace = { file, sheet, rows: [] };
+      ctx.traced = new Map(); // row index -> trace entry, shared by the filter steps the row meets
+      run.traceList.push(ctx.trace);
+    }
+    return ctx;
+  }
+
+  // Column names of a list entry (string or JSONata returning a name or an array of names)
+  async function entryColumns(RED, node, msg, it, sheet, onError) {
+    const resolved = await resolveDynamic(RED, node, msg, it.col, it.colType, null, { sheet }, onError);
+    return ensureArray(resolved).map(c => String(c)).filter(Boolean);
+  }
+
+  // Pipeline steps that apply to this sheet, resolved once: a step with its own rules/list uses
+  // them, otherwise the schema section; steps with nothing to do are left out
+  async function prepareSteps(RED, rt, node, msg, run, sheetCtx) {
+    const { file, sheet } = sheetCtx;
+    const steps = [];
+    for (let i = 0; i < rt.pipeline.length; i++) {
+      const s = rt.pipeline[i];
+      const onError = stageHook(sheetCtx, s.step);
+      if (s.enabled === false || !(await ruleAppliesTo(RED, rt, node, msg, s, sheet, null, onError))) continue;
+      const applies = (it) => ruleAppliesTo(RED, rt, node, msg, it, sheet, null, onError);
+      switch (s.step) {
+        case "valueTransforms": {
+          const cleaners = [];
+          for (const it of (Array.isArray(s.list) ? s.list : rt.valueTransforms)) {
+            if (!it || !it.op || !(await applies(it))) continue;
+            const cols = await entryColumns(RED, node, msg, it, sheet, onError);
+            if (cols.length) cleaners.push({ it, cols, last: new Map() }); // last: fill-down memory per column
+          }
+          if (cleaners.length) steps.push({ step: "valueTransforms", index: i + 1, cleaners });
+          break;
+        }
+        case "filter": {
+          const own = Array.isArray(s.rules);
+          const rules = own ? s.rules : rt.rules;
+          // Own rules report as "p<step>.<rule>" so rejections and traces tell the steps apart
+          if (rules.length) steps.push({ step: "filter", index: i + 1, group: { logic: own ? s.logic || "AND" : rt.filterLogic, not: false, rules }, at: own ? `p${i + 1}` : "" });
+          break;
+        }
+        case "select": {
+          const own = Array.isArray(s.list);
+          const mode = own ? s.mode || "keep" : rt.selectMode;
+          const list = own ? s.list : rt.selectList;
+          if (mode === "none" || !list.length) break;
+          const colSet = await buildScopedColumnSet(RED, rt, node, msg, sheet, list, onError);
+          if (!colSet.size) break;
+          steps.push({ step: "select", index: i + 1, mode, set: colSet });
+          if (mode === "keep") run.columnOrder.set(`${file}\u0000${sheet}`, Array.from(colSet)); // the last keep wins
+          break;
+        }
+        case "rename": {
+          const list = Array.isArray(s.list) ? s.list : rt.renameList;
+          if (list.length) steps.push({ step: "rename", index: i + 1, list });
+          break;
+        }
+        case "conditionalRename": {
+          if (Array.isArray(s.list)) {
+            // Own block: message-level condition when whenLhs is set, row-level `when`
+            const on = s.whenLhs ? await conditionTrue(RED, node, msg, s, onError) : true;
+            if (on && s.list.length) steps.push({ step: "rename", index: i + 1, list: s.list, when: s.when });
+            break;
+          }
+          if (!rt.conditionalRename.enabled) break;
+          if (run.condOn && rt.conditionalRename.list.length) steps.push({ step: "rename", index: i + 1, list: rt.conditionalRename.list });
+          for (const b of rt.conditionalRename.blocks) {
+            if (b.enabled === false || !b.list.length || !(await ruleAppliesTo(RED, rt, node, msg, b, sheet, null, onError))) continue;
+            steps.push({ step: "rename", index: i + 1, list: b.list, when: b.when });
+          }
+          break;
+        }
+        case "derive": {
+          const list = Array.isArray(s.list) ? s.list : rt.deriveList;
+          if (list.length) steps.push({ step: "derive", index: i + 1, list });
+          break;
+        }
+        case "join": {
+          const list = Array.isArray(s.list) ? s.list : rt.joinList;
+          if (list.length) steps.push({ step: "join", index: i + 1, list });
+          break;
+        }
+        case "validation": {
+          // Runs (and counts the rows it checked) even when no check covers this sheet
+          const own = Array.isArray(s.list);
+          if (!own && !(rt.validation.enabled && rt.validation.list.length)) break;
+          const checks = [];
+          for (const it of (own ? s.list : rt.validation.list)) {
+            if (!it || !(await applies(it))) continue;
+            const cols = await entryColumns(RED, node, msg, it, sheet, onError);
+            if (cols.length) checks.push({ it, cols });
+          }
+          // seen: values of the unique checks, per step and sheet
+          steps.push({ step: "validation", index: i + 1, checks, action: own ? s.action || "flag" : rt.validation.action, seen: new Map() });
+          break;
+        }
+        case "unpivot": {
+          const melts = [];
+          for (const it of (Array.isArray(s.list) ? s.list : rt.unpivotList)) {
+            if (!it || !(await applies(it))) continue;
+            const cols = await entryColumns(RED, node, msg, it, sheet, onError);
+            if (cols.length) melts.push({ it, cols, ids: toColumnList(it.idCols) });
+          }
+          if (melts.length) steps.push({ step: "unpivot", index: i + 1, melts });
+          break;
+        }
+        case "pivot": {
+          const pivots = [];
+          for (const it of (Array.isArray(s.list) ? s.list : rt.pivotList)) {
+            if (it && it.keyCol && it.valueCol && await applies(it)) pivots.push(it);
+          }
+          if (pivots.length) steps.push({ step: "pivot", index: i + 1, pivots });
+          break;
+        }
+      }
+    }
+    return steps;
+  }
+
+  // Pipeline of one sheet over a batch of its rows. `offset` is the index of rows[0] within the
+  // sheet (trace / sampling). Row steps run row by row; a sheet step (join, validation, unpivot,
+  // pivot) takes the rows the steps before it passed on, and the row steps after it go on with its result.
+  async function processRows(RED, rt, node, msg, run, sheetCtx, rows, offset) {
+    const steps = sheetCtx.steps;
+    const rejects = [];
+    const counts = sheetCtx.stages ? steps.map(() => 0) : null; // rows left after each step
+    let cur = rows;
+    for (let k = 0, first = true; first || k < steps.length; first = false) {
+      let end = k;
+      while (end < steps.length && !SHEET_STEPS.has(steps[end].step)) end++;
+      // The input rows always go through here once (header names, copies), even without row steps
+      if (first || end > k) cur = await runRowSteps(RED, rt, node, msg, run, sheetCtx, cur, first ? offset : null, k, end, counts, rejects);
+      if (end < steps.length) {
+        cur = await runSheetStep(RED, rt, node, msg, run, sheetCtx, steps[end], cur);
+        if (counts) counts[end] = cur.length;
+      }
+      k = end + 1;
+    }
+    if (sheetCtx.indexed) for (const r of cur) delete r[ROW_INDEX];
+
+    if (counts) {
+      // One count per pipeline step (conditional blocks of a step report together)
+      steps.forEach((st, k) => {
+        if (steps[k + 1]?.index !== st.index) sheetCtx.stages.push({ stage: `${rt.pipeline[st.index - 1].step} #${st.index}`, rows: counts[k] });
+      });
+    }
+    return { out: cur, rejects };
+  }
+
+  // Row steps [from, to) of the sheet, row by row. Input rows (`offset`: index of rows[0] in the sheet)
+  // get their header names normalized and are copied once; rows a sheet step produced are already
+  // the pipeline's own and carry their sheet row index (ROW_INDEX). Rejected rows go to `rejects`.
+  async function runRowSteps(RED, rt, node, msg, run, sheetCtx, rows, offset, from, to, counts, rejects) {
+    const input = offset !== null;
+    const steps = sheetCtx.steps;
+    const where = sheetCtx.where;
+    const filters = steps.slice(from, to).some(st => st.step === "filter");
+    const out = [];
+    for (let i = 0; i < rows.length; i++) {
+      const index = input ? offset + i : rows[i][ROW_INDEX] ?? null;
+      where.row = index;
+
+      // Header normalization comes first: every step sees the normalized names
+      let row = input && sheetCtx.headerMap ? renameHeaders(rt.headers, sheetCtx.headerMap, rows[i]) : rows[i];
+
+      // A filter step sees the row as the earlier steps left it (trace: first `sampleRows` rows per sheet, 0 = all)
+      const tracing = filters && sheetCtx.trace && index !== null && (!rt.trace.sampleRows || index < rt.trace.sampleRows);
+      const diag = filters && (node.rejectOutput || tracing || sheetCtx.onError)
+        ? { fails: node.rejectOutput ? [] : null, trace: tracing ? traceEntry(sheetCtx, index).rules : null, report: sheetCtx.onError }
+        : null;
+      let passed = true;
+      for (let k = from; k < to; k++) {
+        const st = steps[k];
+        where.stage = rt.pipeline[st.index - 1].step;
+        if (st.step === "filter") {
+          passed = (await evalRuleGroup(RED, rt, node, row, msg, sheetCtx.sheet, st.group, diag, st.at, sheetCtx.plan)) !== false;
+          if (!passed) break;
+        } else {
+          row = await runStep(RED, rt, node, msg, sheetCtx, st, row);
+        }
+        if (counts) counts[k]++;
+      }
+
+      if (!passed) {
+        if (tracing) sheetCtx.traced.get(index).passed = false;
+        if (diag && diag.fails) {
+          run.rowRejected++;
+          const r = { ...row, _rejectedBy: diag.fails };
+          delete r[ROW_INDEX];
+          rejects.push(r);
+        }
+        continue;
+      }
+
+      const t = input && row === rows[i] ? { ...row } : row; // never hand the input row on
+      if (sheetCtx.indexed) t[ROW_INDEX] = index; // select builds new rows without it
+      out.push(t);
+    }
+    return out;
+  }
+
+  // Trace entry of a sheet row, made when the row meets its first filter step
+  function traceEntry(sheetCtx, index) {
+    let e = sheetCtx.traced.get(index);
+    if (!e) {
+      e = { index, passed: true, rules: [] };
+      sheetCtx.traced.set(index, e);
+      sheetCtx.trace.rows.push(e);
+    }
+    return e;
+  }
+
+  // One sheet step over the rows the steps before it passed on
+  async function runSheetStep(RED, rt, node, msg, run, sheetCtx, st, rows) {
+    const onError = stageHook(sheetCtx, st.step);
+    switch (st.step) {
+      // Join / lookup enrichment (lookup rows come from the raw input map)
+      case "join":
+        return rows.length ? await applyJoins(RED, rt, node, msg, run.data, sheetCtx.file, sheetCtx.sheet, rows, st.list, run.joinCache, onError) : rows;
+
+      // Validation (data quality) on the rows as the earlier steps left them
+      case "validation": return validateRows(node, run, sheetCtx, st, rows, onError);
+
+      // Unpivot is row-local, so it streams; pivot needs the whole sheet (see wholeSheet)
+      case "unpivot": {
+        let out = rows;
+        for (const m of st.melts) out = unpivotRows(out, m);
+        return out;
+      }
+      case "pivot": {
+        let out = rows;
+        for (const p of st.pivots) out = pivotRows(out, p);
+        return out;
+      }
+      default: return rows;
+    }
+  }
+
+  // HEADERS: canonical name for every header of the sheet (union of row keys, first-seen order).
+  // Aliases win over the normalization strategy; headers that end up with the same name are
+  // duplicates, resolved by `duplicates`. Returns { map: [[from, to|null]], mapped, duplicates, changed }.
+  function buildHeaderMap(h, node, rows) {
+    const headers = [];
+    const known = new Set();
+    for (const r of rows) {
+      if (!r || typeof r !== "object") continue;
+      for (const k of Object.keys(r)) if (!known.has(k)) { known.add(k); headers.push(k); }
+    }
+
+    const aliases = getHeaderAliases(h, node);
+    const byName = new Map(); // canonical -> [raw headers]
+    for (const raw of headers) {
+      let src = raw;
+      const m = h.readerSuffix ? /^(.*)_(\d+)$/.exec(raw) : null;
+      if (m && known.has(m[1])) src = m[1];
+      const name = aliases.get(looseHeader(src)) ?? normalizeHeader(src, h);
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(raw);
+    }
+
+    const taken = new Set(byName.keys());
+    const map = [];
+    const mapped = {};
+    const duplicates = [];
+    for (const [name, raws] of byName) {
+      if (raws.length > 1) duplicates.push({ name, from: raws });
+      raws.forEach((raw, i) => {
+        let to = name;
+        if (i > 0 && h.duplicates === "suffix") {
+          let n = i;
+          while (taken.has(`${name}_${n}`)) n++;
+          to = `${name}_${n}`;
+          taken.add(to);
+        } else if (raws.length > 1 && ((h.duplicates === "first" && i > 0) || (h.duplicates === "last" && i < raws.length - 1))) {
+          to = null; // dropped
+        }
+        map.push([raw, to]);
+        if (to !== raw) mapped[raw] = to;
+      });
+    }
+    return { map, mapped, duplicates, changed: Object.keys(mapped).length > 0 || duplicates.length > 0 };
+  }
+
+  function renameHeaders(h, map, row) {
+    const out = {};
+    for (const [from, to] of map) {
+      if (to === null || !Object.prototype.hasOwnProperty.call(row, from)) continue;
+      // merge: first non-empty value among duplicates
+      if (h.duplicates === "merge" && Object.prototype.hasOwnProperty.call(out, to) && !isEmpty(out[to])) continue;
+      out[to] = row[from];
+    }
+    return out;
+  }
+
+  // Alias dictionary (loose key -> canonical name), cached with the compiled plan
+  function getHeaderAliases(h, node) {
+    const hit = node.plan && node.plan.headerAliases;
+    if (hit && hit.src === h.aliases) return hit.map;
+    const aliases = new Map();
+    for (const a of (h.aliases || [])) {
+      if (!a || !a.name) continue;
+      aliases.set(looseHeader(a.name), a.name);
+      for (const v of toColumnList(a.variants)) aliases.set(looseHeader(v), a.name);
+    }
+    if (node.plan) node.plan.headerAliases = { src: h.aliases, map: aliases }; // per schema (msg overrides)
+    return aliases;
+  }
+
+  // Header comparison key for aliases: no accents, case, spaces or punctuation ("Part No" = "part_no" = "PartNo")
+  function looseHeader(s) {
+    return String(s).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+  }
+
+  function normalizeHeader(raw, h) {
+    let s = String(raw);
+    if (h.stripAccents) s = s.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    if (h.trim) s = s.trim();
+    if (h.collapseSpaces) s = s.replace(/\s+/g, " ");
+    const words = () => s.replace(/([a-z0-9])([A-Z])/g, "$1 $2").split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    switch (h.case) {
+      case "lower": return s.toLowerCase();
+      case "upper": return s.toUpperCase();
+      case "snake": return words().map(w => w.toLowerCase()).join("_") || s;
+      case "camel": return words().map((w, i) => i ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w.toLowerCase()).join("") || s;
+      default:      return s;
+    }
+  }
+
+  // VALUE TRANSFORMS: apply the sheet's cleaners in order. Returns a copy when something changed.
+  // Missing columns are only created by `default` and `fillDown` (blank merged cells are often absent).
+  function cleanRow(node, cleaners, row, onError = null) {
+    let out = row;
+    for (const cl of cleaners) {
+      const op = cl.it.op;
+      for (const col of cl.cols) {
+        const key = findColumn(Object.keys(out), col);
+        if (!key && op !== "default" && op !== "fillDown") continue;
+        const name = key || col;
+        const v = key ? out[key] : undefined;
+        let nv = v;
+        if (op === "fillDown") {
+          if (isEmpty(v)) { if (cl.last.has(col)) nv = cl.last.get(col); }
+          else cl.last.set(col, v);
+        } else {
+          nv = transformValue(node, cl.it, v, onError);
+        }
+        if (nv !== v) {
+          if (out === row) out = { ...row };
+          out[name] = nv;
+        }
+      }
+    }
+    return out;
+  }
+
+  function transformValue(node, it, v, onError = null) {
+    switch (it.op) {
+      case "trim":    return typeof v === "string" ? v.trim() : v;
+      case "upper":   return typeof v === "string" ? v.toUpperCase() : v;
+      case "lower":   return typeof v === "string" ? v.toLowerCase() : v;
+      case "default": return isEmpty(v) ? it.arg : v;
+      case "number": {
+        const n = parseLocaleNumber(v, it.arg);
+        return isNaN(n) ? v : n;
+      }
+      case "date": {
+        // arg: iso (default) | date (yyyy-mm-dd, local) | epoch (ms)
+        if (isEmpty(v)) return v;
+        const t = toTime(v);
+        if (isNaN(t)) return v;
+        if (it.arg === "epoch") return t;
+        if (it.arg === "date") {
+          const d = new Date(t);
+          return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+        }
+        return new Date(t).toISOString();
+      }
+      case "replace": {
+        if (v == null || !it.arg) return v;
+        try { return String(v).replace(getRegex(node, it.arg, "g"), it.arg2 ?? ""); } catch (e) { if (onError) onError(e, it.arg); return v; }
+      }
+      default: return v;
+    }
+  }
+
+  // "1 234,50" / "1,234.50" / "1.234,5" / "€ 12" -> number (NaN if not numeric).
+  // decimal: "," or "." forces the decimal separator; anything else guesses from the text.
+  function parseLocaleNumber(v, decimal) {
+    if (typeof v === "number") return v;
+    if (typeof v !== "string") return NaN;
+    let t = v.replace(/[\s\u00a0\u202f'’€$£¥]/g, "");
+    if (t === "") return NaN;
+    let neg = false;
+    if (/^\(.*\)$/.test(t)) { neg = true; t = t.slice(1, -1); } // accounting negatives: (12,50)
+
+    let dec = decimal === "," || decimal === "." ? decimal : null;
+    if (!dec) {
+      const lastComma = t.lastIndexOf(","), lastDot = t.lastIndexOf(".");
+      if (lastComma >= 0 && lastDot >= 0) dec = lastComma > lastDot ? "," : ".";
+      else if (lastComma >= 0) dec = (t.split(",").length === 2 && !/^-?\d{1,3},\d{3}$/.test(t)) ? "," : ".";
+      else dec = ".";
+    }
+    const thousands = dec === "," ? "." : ",";
+    t = t.split(thousands).join("");
+    if (dec === ",") t = t.replace(",", ".");
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(t)) return NaN;
+    const n = Number(t);
+    return neg ? -n : n;
+  }
+
+  // One transform step of the pipeline; returns a new row object (or the row when a condition skips it)
+  async function runStep(RED, rt, node, msg, sheetCtx, st, r) {
+    const { sheet, file, plan } = sheetCtx;
+    switch (st.step) {
+      // Value transforms in list order (a copy when something changed)
+      case "valueTransforms": return cleanRow(node, st.cleaners, r, sheetCtx.onError);
+
+      // Select keep/drop (sheet-scoped, dynamic column names; array-aware)
+      case "select": return st.mode === "keep" ? pickSet(r, st.set) : omitSet(r, st.set);
+
+      // Static or conditional rename (sheet-scoped; arrays supported)
+      case "rename":
+        if (st.when && !(await whenHolds(RED, rt, node, r, sheetCtx, st.when))) return r;
+        return await renameWithList(RED, rt, node, r, msg, sheet, st.list, plan, sheetCtx.onError);
+
+      // Derive columns (JSONata) — expressions and conditions see the row as it was before this step.
+      // fallback: the value when `when` is false or the expression fails (else the column is left alone)
+      case "derive": {
+        const out = { ...r };
+        for (const d of st.list) {
+          if (!d || !d.col) continue;
+          if (!d.when || await whenHolds(RED, rt, node, r, sheetCtx, d.when)) {
+            if (d.exprType !== "jsonata") continue;
+            try {
+              out[d.col] = await evalJSONata(RED, node, sanitizeExpr(d.expr || ""), { ...msg, row: r, sheet, file });
+              continue;
+            } catch (e) {
+              // fallback below, or ignore
+              if (sheetCtx.onError) sheetCtx.onError(e, d.expr);
+            }
+          }
+          if (d.fallback !== undefined) out[d.col] = await fallbackValue(RED, node, sheetCtx, d, r);
+        }
+        return out;
+      }
+      default: return r;
+    }
+  }
+
+  // Row-level condition of a block / derive entry: the rule tree evaluated like a filter group
+  async function whenHolds(RED, rt, node, row, sheetCtx, when) {
+    const diag = sheetCtx.onError ? { fails: null, trace: null, report: sheetCtx.onError } : null;
+    return (await evalRuleGroup(RED, rt, node, row, sheetCtx.condMsg, sheetCtx.sheet, { logic: when.logic, not: false, rules: when.rules }, diag, "", sheetCtx.plan)) !== false;
+  }
+
+  async function fallbackValue(RED, node, sheetCtx, d, row) {
+    const v = await resolveDynamic(RED, node, sheetCtx.condMsg, d.fallback, d.fallbackType, row, { sheet: sheetCtx.sheet }, sheetCtx.onError);
+    switch (d.fallbackType) {
+      case "num":  return Number(v);
+      case "bool": return v === true || v === "true";
+      default:     return v;
+    }
+  }
+
+  // ---------- Per-message schema override ----------
+
+  // msg.<property> (a full or partial schema, or a config file object { version, schema }) over base.
+  // Lists are appended or replaced; nested objects merge key by key. The result is cached per
+  // override so repeated report types keep their compiled expressions.
+  function overrideSchema(RED, node, base, msg) {
+    const o = node.msgOverride;
+    const label = `msg.${o.property}`;
+    let ov = RED.util.getMessageProperty(msg, o.property);
+    if (ov === undefined || ov === null) return null;
+    if (isPlainObject(ov) && isPlainObject(ov.schema)) ov = ov.schema;
+    if (!isPlainObject(ov)) throw new Error(`${label} must be an object (a full or partial schema).`);
+
+    if (o.base !== base) { o.cache.clear(); o.base = base; }
+    const key = JSON.stringify(ov);
+    let hit = o.cache.get(key);
+    if (!hit) {
+      const sections = checkOverride(ov, o.sections, label);
+      hit = { rt: withDefaults(mergeSchema(base, ov, o.lists)), sections };
+      if (o.cache.size >= 16) o.cache.delete(o.cache.keys().next().value);
+      o.cache.set(key, hit);
+    }
+    return hit;
+  }
+
+  // Validates like a config file schema, then checks the allow-list; returns the overridden sections
+  function checkOverride(ov, allowed, label) {
+    const errors = validateSpec(SCHEMA_SPEC, ov, label, []);
+    if (errors.length) throw new Error(errors.join(" "));
+    const sections = [];
+    for (const k of Object.keys(ov)) {
+      const section = Object.keys(OVERRIDE_SECTIONS).find(s => OVERRIDE_SECTIONS[s].includes(k));
+      if (!allowed.includes(section)) {
+        throw new Error(`${label} may not override '${section}' (allowed: ${allowed.join(", ") || "none"}).`);
+      }
+      if (!sections.includes(section)) sections.push(section);
+    }
+    return sections;
+  }
+
+  // The pipeline is an order, not a list of entries: it always replaces.
+  function mergeSchema(base, ov, lists) {
+    const out = { ...base };
+    for (const [k, v] of Object.entries(ov)) {
+      if (v === undefined || v === null) continue;
+      if (k === "pipeline") out[k] = v;
+      else if (Array.isArray(v)) out[k] = lists === "replace" || !Array.isArray(base[k]) ? v : base[k].concat(v);
+      else if (isPlainObject(v) && isPlainObject(base[k])) out[k] = mergeSchema(base[k], v, lists);
+      else out[k] = v;
+    }
+    return out;
+  }
+
+  // Profiles first, the node's own schema last, each a partial schema (only the keys it sets):
+  // lists are appended, objects merged key by key, any other key replaces the value below.
+  // Row filters are the exception: each layer's rules form a group with that layer's filterLogic,
+  // and the groups are ANDed, so a node's rules narrow its profiles' result instead of joining it.
+  function layerSchemas(layers) {
+    let out = {};
+    const groups = [];
+    for (const l of layers) {
+      const { rules, filterLogic, ...rest } = l || {};
+      out = mergeSchema(out, rest, "merge");
+      if (Array.isArray(rules) && rules.length) groups.push({ type: "group", logic: filterLogic || "AND", not: false, rules });
+    }
+    if (groups.length === 1) {
+      out.rules = groups[0].rules;
+      out.filterLogic = groups[0].logic;
+    } else if (groups.length) {
+      out.rules = groups;
+      out.filterLogic = "AND";
+    }
+    return withDefaults(out);
+  }
+
+  // Partial schema holding the dotted `paths` of a full one; rules keep their filterLogic
+  function pickSettings(schema, paths) {
+    const out = {};
+    for (const p of paths) {
+      const keys = String(p).split(".").filter(Boolean);
+      const v = keys.reduce((o, k) => isPlainObject(o) ? o[k] : undefined, schema);
+      if (v === undefined) continue;
+      let dst = out;
+      for (const k of keys.slice(0, -1)) dst = dst[k] = isPlainObject(dst[k]) ? dst[k] : {};
+      dst[keys[keys.length - 1]] = v;
+    }
+    if (out.rules) out.filterLogic = schema.filterLogic;
+    return out;
+  }
+
+  // Profiles of the slots in layering order, each preceded by the profiles it is based on;
+  // a profile reached twice is layered once. [{ id, profile }], profile null when missing.
+  function profileChain(RED, ids) {
+    const out = [], seen = new Set();
+    const add = (id) => {
+      if (seen.has(id)) return;
+      seen.add(id);
+      const p = RED.nodes.getNode(id);
+      const profile = p && p.type === "xlsx-filter-profile" ? p : null;
+      if (profile && profile.base) add(profile.base);
+      out.push({ id, profile });
+    };
+    for (const id of ids) add(id);
+    return out;
+  }
+
+  // ---------- Editor preview ----------
+  const SAMPLE_STRING_MAX = 1024; // longer msg strings (e.g. CSV text) are not kept in the sample
+
+  function previewSample(id) {
+    const node = id ? RED.nodes.getNode(id) : null;
+    let msg = null;
+    if (!node || node.type !== "xlsx-filter") msg = "Deploy the node first: the preview runs on a sample it captured.";
+    else if (!node.preview) msg = "Sample capture is off for this node: enable it and deploy.";
+    else if (!node.preview.sample) msg = "No sample yet: send a message through the node.";
+    if (msg) { const err = new Error(msg); err.status = 404; throw err; }
+    return node.preview.sample;
+  }
+
+  // The first n rows of every sheet (copied) and the message's scalar properties, for msg values in
+  // rules and expressions. Objects, buffers, long strings and the input property are left out: the
+  // sample lives in node memory until the next message, so it must not pin the workbook.
+  function captureSample(rt, msg, dataMap, n) {
+    const data = {};
+    for (const [file, sheets] of Object.entries(dataMap)) {
+      data[file] = {};
+      for (const [sheet, rows] of Object.entries(sheets || {})) {
+        data[file][sheet] = Array.isArray(rows) ? rows.slice(0, n).map(r => isPlainObject(r) ? { ...r } : r) : rows;
+      }
+    }
+    const input = rt.inputPathType === "msg" ? String(rt.inputPath || "").split(".")[0] : null;
+    const m = {};
+    for (const [k, v] of Object.entries(msg)) {
+      if (k === input) continue;
+      if (v === null || typeof v === "number" || typeof v === "boolean" || (typeof v === "string" && v.length <= SAMPLE_STRING_MAX)) m[k] = v;
+    }
+    return { capturedAt: nowISOString(), rows: n, msg: m, data };
+  }
+
+  // Every sheet of the sample through the schema (with the node's profiles below it) like a
+  // hierarchical, non-streaming run: no file sink, no ports, aggregate and order per sheet.
+  // Returns the rows, rejected counts and row counts after each stage, per sheet.
+  async function runPreview(RED, node, schema, sample, keep) {
+    const layers = profileChain(RED, node.profileIds).map(c => c.profile).filter(Boolean);
+    // The editor form holds a full schema: only the settings the user set go over the profiles
+    const own = layers.length ? pickSettings(withDefaults(schema), keep || node.ownPaths) : null;
+    const rt = layers.length ? layerSchemas([...layers.map(p => p.schema), own]) : withDefaults(schema);
+    // Stand-in node: its own compiled plan, no status updates, rejected rows counted
+    const pnode = {
+      id: node.id, type: node.type, name: node.name, rejectOutput: true, plan: null,
+      status() {}, warn() {}, error() {}, log() {}, context: () => node.context()
+    };
+    compilePlan(RED, pnode, rt);
+
+    const msg = { ...sample.msg };
+    const run = await createRun(RED, rt, pnode, msg, sample.data, true);
+    const inputError = errorHook(run, { file: null, sheet: null, row: null, stage: "input" });
+    const incSheet = safeRegex(rt.includeSheetRegex, inputError);
+    const excSheet = safeRegex(rt.excludeSheetRegex, inputError);
+    const aggOn = rt.aggregate.enabled && (rt.aggregate.groupBy.length > 0 || rt.aggregate.list.length > 0);
+    const orderOn = rt.sortList.length > 0 || rt.dedupe.enabled || rt.paging.offset > 0 || rt.paging.limit > 0;
+
+    const sheets = [];
+    let rowIn = 0, rowOut = 0;
+    for (const [file, map] of Object.entries(sample.data)) {
+      if (path.basename(file || "").startsWith("~$")) continue;
+      for (const [sheet, rows] of Object.entries(map || {})) {
+        if (!passNameFilters(sheet, incSheet, excSheet) || !Array.isArray(rows)) continue;
+        const sheetCtx = await prepareSheet(RED, rt, pnode, msg, run, file, sheet, rows);
+        sheetCtx.stages.push({ stage: "input", rows: rows.length });
+        const { out, rejects } = await processRows(RED, rt, pnode, msg, run, sheetCtx, rows, 0);
+        let result = out;
+        if (aggOn) {
+          const groupCols = Array.from(await buildScopedColumnSet(RED, rt, pnode, msg, sheet, rt.aggregate.groupBy, stageHook(sheetCtx, "aggregate")));
+          result = aggregateRows(result, groupCols, rt.aggregate.list);
+          sheetCtx.stages.push({ stage: "aggregate", rows: result.length });
+        }
+        if (orderOn) {
+          result = orderRows(result, rt);
+          sheetCtx.stages.push({ stage: "order", rows: result.length });
+        }
+        rowIn += rows.length;
+        rowOut += result.length;
+        const preferred = run.columnOrder.get(`${file}\u0000${sheet}`) || [];
+        const columns = [...preferred, ...rowColumns(result).filter(c => !preferred.includes(c))];
+        sheets.push({ file, sheet, rowIn: rows.length, rowOut: result.length, rejected: rejects.length, stages: sheetCtx.stages, columns, rows: result });
+      }
+    }
+
+    const out = {
+      capturedAt: sample.capturedAt,
+      summary: { sheetCount: sheets.length, rowIn, rowOut, rowRejected: run.rowRejected },
+      sheets
+    };
+    if (run.traceList) out.trace = run.traceList;
+    if (run.headerList) out.headers = run.headerList;
+    if (run.validation) out.validation = run.validation;
+    if (run.errors) out.summary.errors = run.errors.report;
+    return out;
+  }
+
+  // ---------- Input adapters ----------
+  function detectInputFormat(v) {
+    if (Array.isArray(v)) {
+      if (v.length && v.every(Array.isArray)) return "arrays";
+      const first = v.find(isPlainObject);
+      return first && ("_file" in first || "_sheet" in first) ? "flat" : "rows";
+    }
+    if (isPlainObject(v)) {
+      if (isPlainObject(v.data)) return "map";
+      const values = Object.values(v);
+      if (values.length && values.every(Array.isArray)) {
+        return values.every(rows => rows.length && rows.every(Array.isArray)) ? "arrays" : "sheets";
+      }
+    }
+    return null;
+  }
+
+  // Any supported input -> { file: { sheet: rows[] } }
+  function adaptInput(rt, v) {
+    const format = rt.inputFormat === "auto" ? detectInputFormat(v) : rt.inputFormat;
+    const file = rt.inputFile || "input", sheet = rt.inputSheet || "Sheet1";
+    switch (format) {
+      case "map":
+        if (isPlainObject(v) && isPlainObject(v.data)) return v.data;
+        break;
+      case "rows":
+        if (Array.isArray(v)) return { [file]: { [sheet]: v } };
+        break;
+      case "sheets":
+        if (isPlainObject(v) && Object.values(v).every(Array.isArray)) return { [file]: v };
+        break;
+      case "arrays":
+        if (Array.isArray(v) && v.every(Array.isArray)) return { [file]: { [sheet]: arraysToRows(v, rt.inputHeaderRow) } };
+        if (isPlainObject(v) && Object.values(v).every(a => Array.isArray(a) && a.every(Array.isArray))) {
+          const sheets = {};
+          for (const [name, a] of Object.entries(v)) sheets[name] = arraysToRows(a, rt.inputHeaderRow);
+          return { [file]: sheets };
+        }
+        break;
+      case "flat":
+        if (Array.isArray(v)) {
+          const out = {};
+          for (const r of v) {
+            if (!isPlainObject(r)) continue;
+            const { _file = file, _sheet = sheet, ...row } = r;
+            out[_file] = out[_file] || {};
+            (out[_file][_sheet] = out[_file][_sheet] || []).push(row);
+          }
+          return out;
+        }
+        break;
+      default:
+        throw new Error("Input missing or invalid. Expect an xlsx-reader object ({ data: { file: { sheet: rows[] } } }), " +
+          "an array of rows, a { sheet: rows[] } map, an array of arrays or flat rows with _file/_sheet under the configured path.");
+    }
+    throw new Error(`Input does not match the '${format}' input format.`);
+  }
+
+  // Array-of-arrays sheet -> row objects. Rows above the header are skipped, so are empty rows.
+  // Blank header cells become Col<n>; repeated names get _1, _2, ... like xlsx-reader.
+  function arraysToRows(arrays, headerRow) {
+    const header = arrays[headerRow] || [];
+    const seen = new Map();
+    const cols = header.map((h, i) => {
+      const name = (h === null || h === undefined || String(h).trim() === "") ? `Col${i + 1}` : String(h);
+      const n = seen.get(name) || 0;
+      seen.set(name, n + 1);
+      return n ? `${name}_${n}` : name;
+    });
+    const rows = [];
+    for (const a of arrays.slice(headerRow + 1)) {
+      if (!a.some(v => v !== null && v !== undefined && v !== "")) continue;
+      const row = {};
+      a.forEach((v, i) => { row[cols[i] || `Col${i + 1}`] = v; });
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // ---------- Text / table output formats ----------
+  const TEXT_FORMATS = new Set(["csv", "ndjson", "table"]);
+
+  // Hierarchical data -> one formatted value per sheet; flat (combined) data -> a single value
+  function formatData(output, fmt, data, flat, columnOrder) {
+    if (flat) {
+      const preferred = ["_file", "_sheet"];
+      for (const cols of columnOrder.values()) for (const c of cols) if (!preferred.includes(c)) preferred.push(c);
+      return formatRows(data, fmt, output, preferred, true);
+    }
+    const out = {};
+    for (const [file, sheets] of Object.entries(data)) {
+      out[file] = {};
+      for (const [sheet, rows] of Object.entries(sheets)) {
+        out[file][sheet] = formatRows(rows, fmt, output, columnOrder.get(`${file}\u0000${sheet}`), true);
+      }
+    }
+    return out;
+  }
+
+  // Column order: the preferred (keep-select) columns, always present so chunks and sheets line up,
+  // then the other columns by first appearance
+  function columnsOf(rows, preferred) {
+    const cols = Array.from(new Set(preferred || []));
+    const known = new Set(cols);
+    for (const r of rows) for (const k of Object.keys(r)) if (!known.has(k)) { known.add(k); cols.push(k); }
+    return cols;
+  }
+
+  function formatRows(rows, fmt, output, preferred, withHeader) {
+    if (fmt === "ndjson") return rows.map(r => JSON.stringify(r) + "\n").join("");
+
+    const cols = columnsOf(rows, preferred);
+    if (fmt === "table") return { headers: cols, rows: rows.map(r => cols.map(c => r[c] ?? null)) };
+
+    const d = output.csv.delimiter || ",";
+    const all = output.csv.quote === "all";
+    const lines = [];
+    if (withHeader && output.csv.header !== false && cols.length) lines.push(cols.map(c => csvCell(c, d, all)).join(d));
+    for (const r of rows) lines.push(cols.map(c => csvCell(r[c], d, all)).join(d));
+    return lines.map(l => l + "\n").join("");
+  }
+
+  // RFC 4180 cell: quoted when it holds the delimiter, quotes, line breaks or edge spaces (or always)
+  function csvCell(v, d, all) {
+    if (v === null || v === undefined) return all ? '""' : "";
+    let s;
+    if (v instanceof Date) s = v.toISOString();
+    else if (typeof v === "object") s = JSON.stringify(v);
+    else s = String(v);
+    if (all || s.includes(d) || /["\r\n]/.test(s) || s !== s.trim()) return '"' + s.replace(/"/g, '""') + '"';
+    return s;
+  }
+
+  // ---------- File sink ----------
+  const SINK_EXTS = [".csv", ".ndjson", ".jsonl", ".json", ".txt"];
+
+  // Result -> [{ file, sheet, rows }]; flat rows are grouped back by their _file/_sheet
+  function sinkEntries(resultMap, flat) {
+    const out = [];
+    if (!flat) {
+      for (const [file, sheets] of Object.entries(resultMap)) {
+        for (const [sheet, rows] of Object.entries(sheets)) out.push({ file, sheet, rows });
+      }
+      return out;
+    }
+    const groups = new Map();
+    for (const r of (resultMap.__flat || [])) {
+      const { _file = "", _sheet = "", ...rest } = r;
+      const key = `${_file}\u0000${_sheet}`;
+      if (!groups.has(key)) groups.set(key, { file: _file, sheet: _sheet, rows: [] });
+      groups.get(key).rows.push(rest);
+    }
+    return Array.from(groups.values());
+  }
+
+  // Placeholder values never add path segments: separators and reserved characters become "_"
+  function sinkSegment(v) {
+    return String(v ?? "").replace(/[\\/:*?"<>|\u0000-\u001f]/g, "_").replace(/^\.+$/, "_");
+  }
+
+  // {file} value per workbook: its name without extension, preceded by as many parent folders
+  // as it takes ("in_Orders", "out_Orders") to tell apart workbooks of the message sharing that name
+  function sinkFileLabels(files) {
+    const split = (f) => String(f).split(/[\\/]+/).filter(Boolean);
+    const names = files.map(f => {
+      const parts = split(f);
+      const last = parts.pop() || "";
+      return [...parts, path.basename(last, path.extname(last))];
+    });
+    const label = (parts, n) => parts.slice(-n).map(sinkSegment).join("_");
+    const labels = new Map();
+    files.forEach((f, i) => {
+      const taken = (n) => names.some((o, j) => j !== i && label(o, n) === label(names[i], n));
+      let n = 1;
+      while (n < names[i].length && taken(n)) n++;
+      // Same path up to the extension (Orders.xlsx, Orders.xls): the whole path, extension included
+      labels.set(f, taken(n) ? split(f).map(sinkSegment).join("_") : label(names[i], n));
+    });
+    return labels;
+  }
+
+  function renderSinkPath(RED, tpl, msg, label, sheet, now) {
+    const pad = (n) => String(n).padStart(2, "0");
+    const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    return String(tpl).replace(/\{([^{}]+)\}/g, (m, key) => {
+      key = key.trim();
+      if (key === "file") return label;
+      if (key === "sheet") return sinkSegment(sheet);
+      if (key === "date") return date;
+      if (key === "time") return time;
+      if (key === "timestamp") return String(now.getTime());
+      if (key.startsWith("msg.")) return sinkSegment(RED.util.getMessageProperty(msg, key.slice(4)));
+      return m;
+    });
+  }
+
+  // The first write to a path in a message follows the mode (overwrite | append | skip if it exists);
+  // later writes to the same path (other sheets, stream chunks) append to it.
+  // _file/_sheet columns are added when the path does not already tell them apart.
+  // CSV/NDJSON lines are appended as they come; JSON arrays are collected and written once by flushSink.
+  async function writeSink(RED, rt, msg, run, entries) {
+    const sink = rt.sink;
+    const userDir = RED.settings.userDir || process.cwd();
+    const addFile = !sink.path.includes("{file}");
+    const addSheet = !sink.path.includes("{sheet}");
+
+    for (const { file, sheet, rows } of entries) {
+      const label = run.sink.labels.get(file) ?? sinkSegment(path.basename(file, path.extname(file)));
+      const abs = resolveSafePath(renderSinkPath(RED, sink.path, msg, label, sheet, run.sink.now), SINK_EXTS);
+      let f = run.sink.files.get(abs);
+      if (!f) {
+        const size = await fs.promises.stat(abs).then(st => st.size, () => null);
+        const ext = path.extname(abs).toLowerCase();
+        const fmt = sink.format !== "auto" ? sink.format
+          : ext === ".csv" ? "csv" : (ext === ".ndjson" || ext === ".jsonl") ? "ndjson" : "json";
+        // report: the summary.files entry; empty: no CSV header / JSON array yet; json: rows for flushSink
+        f = { abs, fmt, report: { path: path.relative(userDir, abs), status: "written", rows: 0 }, empty: true, json: null };
+        run.sink.files.set(abs, f);
+        if (size !== null && sink.mode === "skip") f.report.status = "skipped";
+        else if (size !== null && sink.mode === "append") { f.report.status = "appended"; f.empty = size === 0; }
+        else {
+          await fs.promises.mkdir(path.dirname(abs), { recursive: true });
+          await fs.promises.writeFile(abs, "");
+        }
+        if (fmt === "json" && f.report.status !== "skipped") f.json = [];
+      }
+      if (f.report.status === "skipped") continue;
+
+      const out = (addFile || addSheet)
+        ? rows.map(r => ({ ...(addFile ? { _file: file } : {}), ...(addSheet ? { _sheet: sheet } : {}), ...r }))
+        : rows;
+      if (f.json) {
+        for (const r of out) f.json.push(r);
+      } else {
+        const preferred = [...(addFile ? ["_file"] : []), ...(addSheet ? ["_sheet"] : []),
+          ...(run.columnOrder.get(`${file}\u0000${sheet}`) || [])];
+        const text = formatRows(out, f.fmt, rt.output, preferred, f.empty);
+        if (text) {
+          await fs.promises.appendFile(abs, text);
+          f.empty = false;
+        }
+      }
+      f.report.rows += rows.length;
+    }
+  }
+
+  // Writes the JSON files collected during the message: an array cannot be appended to in place,
+  // so an existing one (append mode) is read and rewritten once
+  async function flushSink(run) {
+    for (const f of run.sink.files.values()) {
+      if (!f.json) continue;
+      let prev = [];
+      if (!f.empty) {
+        prev = JSON.parse(await fs.promises.readFile(f.abs, "utf8"));
+        if (!Array.isArray(prev)) throw new Error(`Cannot append to ${f.report.path}: it does not hold a JSON array.`);
+      }
+      await fs.promises.writeFile(f.abs, JSON.stringify(prev.concat(f.json), null, 2));
+    }
+  }
+
+  // Messages for the configured ports: [main, rejected?, errors?] (single message when only main)
+  function outputArray(node, main, rejected, errors) {
+    if (!node.rejectOutput && !node.errorOutput) return main;
+    const out = [main];
+    if (node.rejectOutput) out.push(rejected);
+    if (node.errorOutput) out.push(errors);
+    return out;
+  }
+
+  // Shallow copy of msg that also copies the containers along pathStr,
+  // so setting pathStr on the copy leaves the original message untouched
+  function forkMessage(msg, pathStr) {
+    const out = { ...msg };
+    const parts = String(pathStr || "").split(".").filter(Boolean);
+    let cur = out;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const v = cur[parts[i]];
+      if (!v || typeof v !== "object") break;
+      cur[parts[i]] = Array.isArray(v) ? v.slice() : { ...v };
+      cur = cur[parts[i]];
+    }
+    return out;
+  }
+
+  // Streamed messages leave the input workbook behind (when it came from msg), so no chunk carries it
+  function forkWithoutInput(msg, rt, pathStr) {
+    const out = forkMessage(msg, pathStr);
+    if (rt.inputPathType !== "msg") return out;
+    const parts = String(rt.inputPath || "").split(".").filter(Boolean);
+    let cur = out;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const v = cur[parts[i]];
+      if (!v || typeof v !== "object") return out;
+      cur = cur[parts[i]] = Array.isArray(v) ? v.slice() : { ...v };
+    }
+    if (parts.length) delete cur[parts[parts.length - 1]];
+    return out;
+  }
+
+  function sanitizeExpr(src) {
+    // remove zero-width chars + the common right-arrow from copy/paste
+    return String(src || "").replace(/[\u200B-\u200D\uFEFF\u2192]/g, "").trim();
+  }
+
+  // A bad include/exclude regex disables that filter (reported through onError)
+  function safeRegex(rx, onError = null) {
+    try { return rx ? new RegExp(rx) : null; } catch (e) { if (onError) onError(e, rx); return null; }
+  }
+  function passNameFilters(name, inc, exc) { if (inc && !inc.test(name)) return false; if (exc && exc.test(name)) return false; return true; }
+
+  function getRootContainer(node, msg, scope) {
+    if (scope === "msg") return msg;
+    if (scope === "flow") return node.context().flow;
+    if (scope === "global") return node.context().global;
+    return msg; // default
+  }
+
+  function deepGet(root, pathStr) {
+    if (!root || !pathStr) return undefined;
+    if (root.get && root.set) return root.get(pathStr); // flow/global context
+    const parts = String(pathStr).split(".").filter(Boolean);
+    let cur = root;
+    for (const p of parts) {
+      if (cur == null) return undefined;
+      cur = cur[p];
+    }
+    return cur;
+  }
+
+  function setOutput(RED, node, msg, value, scope, pathStr) {
+    if (scope === "msg") {
+      RED.util.setMessageProperty(msg, pathStr, value, true);
+      return;
+    }
+    const ctx = node.context()[scope]; // flow/global
+    if (!ctx || typeof ctx.get !== "function" || typeof ctx.set !== "function") {
+      RED.util.setMessageProperty(msg, pathStr, value, true);
+      return;
+    }
+    if (!pathStr || !pathStr.trim()) {
+      ctx.set("xlsxFilter", value);
+      return;
+    }
+    const parts = pathStr.split(".").filter(Boolean);
+    const rootKey = parts.shift();
+    if (!rootKey) { ctx.set("xlsxFilter", value); return; }
+    if (parts.length === 0) { ctx.set(rootKey, value); return; }
+    let rootObj = ctx.get(rootKey);
+    if (typeof rootObj !== "object" || rootObj === null) rootObj = {};
+    let cur = rootObj;
+    for (let i=0;i<parts.length-1;i++) {
+      const k = parts[i];
+      if (typeof cur[k] !== "object" || cur[k] === null) cur[k] = {};
+      cur = cur[k];
+    }
+    cur[parts[parts.length-1]] = value;
+    ctx.set(rootKey, rootObj);
+  }
+
+  // ---------- Compiled plan (built once per deploy / config reload) ----------
+  // node.plan caches parsed JSONata expressions and regexes by source, and records for every
+  // rule/list entry which of its parts may read the row. Parts that cannot are resolved once
+  // per sheet (see planned()); the rest is still evaluated per row.
+  function compilePlan(RED, node, rt) {
+    node.plan = { exprs: new Map(), regexes: new Map(), statics: new WeakMap() };
+    const prep = (src, typ) => {
+      try {
+        if (typ === "jsonata") getExpression(RED, node, sanitizeExpr(src || ""));
+        else if (typ === "regex" && src) getRegex(node, src);
+      } catch (e) { /* reported when the expression is used */ }
+    };
+    const walk = (list) => {
+      for (const r of (list || [])) {
+        if (isRuleGroup(r)) { walk(r.rules); continue; }
+        entryStatics(node, r);
+        prep(r.sheetScope, r.sheetScopeType);
+        prep(r.col, r.colType);
+        prep(r.rhs, r.op === "jsonata" ? "jsonata" : r.rhsType);
+      }
+    };
+    walk(rt.rules);
+    const stepLists = [], stepDerives = [];
+    for (const s of (rt.pipeline || [])) {
+      entryStatics(node, s);
+      prep(s.sheetScope, s.sheetScopeType);
+      if (s.step === "filter") walk(s.rules);
+      else if (s.step === "derive") stepDerives.push(...(s.list || []));
+      else stepLists.push(...(s.list || []));
+      if (s.when) walk(s.when.rules);
+    }
+    for (const b of (rt.conditionalRename?.blocks || [])) {
+      entryStatics(node, b);
+      prep(b.sheetScope, b.sheetScopeType);
+      if (b.when) walk(b.when.rules);
+      stepLists.push(...b.list);
+    }
+    for (const it of [...(rt.selectList || []), ...(rt.renameList || []), ...(rt.conditionalRename?.list || []), ...(rt.validation?.list || []), ...stepLists]) {
+      if (!it) continue;
+      entryStatics(node, it);
+      prep(it.sheetScope, it.sheetScopeType);
+      prep(it.col, it.colType);
+      prep(it.from, it.fromType);
+      prep(it.to, it.toType);
+      prep(it.pattern, "regex");
+    }
+    for (const it of [...(rt.valueTransforms || []), ...(rt.unpivotList || [])]) {
+      if (!it) continue;
+      entryStatics(node, it);
+      prep(it.sheetScope, it.sheetScopeType);
+      prep(it.col, it.colType);
+    }
+    for (const d of [...(rt.deriveList || []), ...stepDerives]) {
+      if (!d) continue;
+      prep(d.expr, d.exprType);
+      prep(d.fallback, d.fallbackType);
+      if (d.when) walk(d.when.rules);
+    }
+  }
+
+  // Expressions and regexes kept per plan. Per-message overrides bring sources the compile step
+  // never saw, so the caches drop their least recently used entry past this size.
+  const PLAN_CACHE_MAX = 500;
+
+  function cachedEntry(cache, key, make) {
+    let hit = cache ? cache.get(key) : null;
+    if (hit) {
+      cache.delete(key); // most recently used last
+      cache.set(key, hit);
+      return hit;
+    }
+    hit = make();
+    if (cache) {
+      if (cache.size >= PLAN_CACHE_MAX) cache.delete(cache.keys().next().value);
+      cache.set(key, hit);
+    }
+    return hit;
+  }
+
+  // Parsed expression by (sanitized) source; parse errors are cached and rethrown
+  function getExpression(RED, node, src) {
+    const hit = cachedEntry(node.plan ? node.plan.exprs : null, src, () => {
+      try { return { expr: RED.util.prepareJSONataExpression(src, node) }; } catch (e) { return { error: e }; }
+    });
+    if (hit.error) throw hit.error;
+    return hit.expr;
+  }
+
+  function getRegex(node, src, flags = "") {
+    const key = flags ? `${flags}:${src}` : String(src);
+    const hit = cachedEntry(node.plan ? node.plan.regexes : null, key, () => {
+      try { return { rx: new RegExp(String(src), flags) }; } catch (e) { return { error: e }; }
+    });
+    if (hit.error) throw hit.error;
+    return hit.rx;
+  }
+
+  // JSONata that may read the row (row, $, $$) or differs per call ($random/$now/$millis)
+  function readsRow(src) {
+    return /\brow\b|\$(?!\w)|\$(random|now|millis)\b/.test(String(src || ""));
+  }
+
+  // Per entry: true when that part has the same value for every row of a sheet
+  function entryStatics(node, it) {
+    const cache = node.plan ? node.plan.statics : null;
+    let st = cache ? cache.get(it) : null;
+    if (!st) {
+      const fixed = (val, typ) => typ !== "jsonata" || !readsRow(val);
+      st = {
+        scope: fixed(it.sheetScope, it.sheetScopeType),
+        col:   fixed(it.col, it.colType),
+        rhs:   it.rhsType !== "col" && fixed(it.rhs, it.rhsType),
+        from:  fixed(it.from, it.fromType),
+        to:    fixed(it.to, it.toType)
+      };
+      if (cache) cache.set(it, st);
+    }
+    return st;
+  }
+
+  // Resolve part `key` of entry `it` through the per-sheet plan (Map) when it is row-independent.
+  // The first evaluation is memoized with its error (and expression), replayed to onError on every hit.
+  async function planned(node, plan, it, key, compute, onError) {
+    if (!plan || !entryStatics(node, it)[key]) return await compute(onError);
+    let memo = plan.get(it);
+    if (!memo) plan.set(it, memo = {});
+    let hit = memo[key];
+    if (!hit) {
+      hit = memo[key] = {};
+      hit.value = await compute((e, src) => { hit.error = e; hit.src = src; });
+    }
+    if (hit.error && onError) onError(hit.error, hit.src);
+    return hit.value;
+  }
+
+  // Promise wrapper for Node-RED's callback-style JSONata evaluation
+  async function evalJSONata(RED, node, src, contextObj) {
+    const expr = getExpression(RED, node, src || "");
+    return await new Promise((resolve, reject) => {
+      try {
+        RED.util.evaluateJSONataExpression(expr, contextObj, (err, val) => {
+          if (err) return reject(err);
+          resolve(val);
+        });
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+
+  // Ensure array (undefined/null -> [], scalar -> [scalar], array -> same)
+  function ensureArray(v) {
+    if (Array.isArray(v)) return v;
+    if (v === null || v === undefined) return [];
+    return [v];
+  }
+
+  // Dynamic resolver (async when jsonata). onError(e) receives JSONata failures (trace / error policy).
+  async function resolveDynamic(RED, node, msg, val, typ, rowCtx, extras = {}, onError = null) {
+    switch (typ || "str") {
+      case "str":    return val;
+      case "msg":    return RED.util.getMessageProperty(msg, val);
       case "flow":   return node.context().flow.get(val);
       case "global": return node.context().global.get(val);
       case "env":    return process.env[val];
@@ -497,6 +2494,7 @@ module.exports = function(RED) {
           return out;
         } catch (e) {
           node.status({ fill: "red", shape: "ring", text: `JSONata ERR: ${String(e.message || e)}` });
+          if (onError) onError(e, val);
           return undefined;
         }
       default:       return val;
@@ -514,132 +2512,241 @@ module.exports = function(RED) {
   }
   function isEmpty(v) { return v == null || (typeof v === "string" && v.trim() === ""); }
 
-  // Rules sheet-scope check (can contain jsonata sheet scope)
-  async function ruleAppliesTo(RED, rt, node, msg, r, sheet, rowCtx) {
-    if (r.sheetScope) {
+  // Rules sheet-scope check (can contain jsonata sheet scope). `plan`: per-sheet memo, see planned().
+  async function ruleAppliesTo(RED, rt, node, msg, r, sheet, rowCtx, onError = null, plan = null) {
+    if (!r.sheetScope) return true;
+    return await planned(node, plan, r, "scope", async (onErr) => {
       const t = r.sheetScopeType || "str";
       if (t === "str") {
         if (sheet !== r.sheetScope) return false;
       } else if (t === "regex") {
-        try { if (!new RegExp(String(r.sheetScope)).test(sheet)) return false; } catch { return false; }
+        try { if (!getRegex(node, r.sheetScope).test(sheet)) return false; } catch (e) { if (onErr) onErr(e, r.sheetScope); return false; }
       } else if (t === "jsonata") {
         try {
           const ok = await evalJSONata(RED, node, sanitizeExpr(r.sheetScope), { ...msg, sheet, row: rowCtx });
           if (!ok) return false;
-        } catch { return false; }
+        } catch (e) { if (onErr) onErr(e, r.sheetScope); return false; }
       }
-    }
-    return true;
+      return true;
+    }, onError);
   }
 
   // Resolve column name(s) and RHS (async where needed)
-  async function resolveColumnName(RED, node, msg, r, rowCtx, sheet) {
-    return await resolveDynamic(RED, node, msg, r.col, r.colType, rowCtx, { sheet });
+  async function resolveColumnName(RED, node, msg, r, rowCtx, sheet, onError = null, plan = null) {
+    return await planned(node, plan, r, "col",
+      (onErr) => resolveDynamic(RED, node, msg, r.col, r.colType, rowCtx, { sheet }, onErr), onError);
+  }
+  async function resolveRHS(RED, node, msg, r, rowCtx, sheet, onError = null, plan = null) {
+    // "col": RHS names another column of the same row (tolerant header match)
+    if (r.rhsType === "col") return rowCtx ? pickColumn(rowCtx, r.rhs) : undefined;
+    return await planned(node, plan, r, "rhs",
+      (onErr) => resolveDynamic(RED, node, msg, r.rhs, r.rhsType, rowCtx, { sheet }, onErr), onError);
+  }
+
+  // List RHS for in/!in: arrays as-is, strings split on commas
+  function toValueList(v) {
+    if (Array.isArray(v)) return v;
+    if (v === null || v === undefined) return [];
+    if (typeof v === "string") return v.split(",").map(s => s.trim()).filter(s => s !== "");
+    return [v];
+  }
+
+  // Row filter evaluation (async) — a filter step's rules list is a group combined by its logic.
+  // Group evaluation: AND/OR over children (rules or nested groups), then optional NOT.
+  // Empty groups are neutral (pass) so an unfinished group in the editor never drops rows.
+  // `at` is the group's position in the tree ("" for the top level, then "2", "2.1", ...;
+  // "p3", "p3.1", ... for the own rules of pipeline step 3).
+  // Optional diag = { fails: [] | null, trace: [] | null }:
+  //   fails  receives the rules responsible for a rejection,
+  //   trace  receives one entry per evaluated rule/group (resolved columns, values, result, errors),
+  //   report is the error policy hook (onError) for failing expressions.
+  // true / false, or null when no rule of the group applies to the sheet: such a group (or rule)
+  // is left out of its parent's AND/OR/NOT, and passes at the top of the tree
+  async function evalRuleGroup(RED, rt, node, row, msg, sheet, group, diag, at, plan = null) {
+    const list = Array.isArray(group.rules) ? group.rules : [];
+    if (list.length === 0) return null;
+
+    const tr = (diag && diag.trace && at) ? { rule: at, group: group.logic, not: !!group.not } : null;
+    if (tr) diag.trace.push(tr);
+
+    const local = (diag && diag.fails) ? [] : null;
+    const childDiag = diag ? { fails: local, trace: diag.trace, report: diag.report } : null;
+    const childAt = (i) => (at ? `${at}.${i + 1}` : String(i + 1));
+    let res = null;
+    for (let i = 0; i < list.length; i++) {
+      const v = await evalRuleNode(RED, rt, node, row, msg, sheet, list[i], childDiag, childAt(i), plan);
+      if (v === null) continue;
+      res = v;
+      if (group.logic === "OR" ? v : !v) break;
+    }
+    const out = res === null ? null : (group.not ? !res : res);
+    if (tr) tr.result = out;
+
+    // Only a failing group reports; a negated group failed because its children passed, so report the group itself
+    if (local && out === false) {
+      if (group.not) diag.fails.push(describeRule(group, at));
+      else diag.fails.push(...local);
+    }
+    return out;
   }
-  async function resolveRHS(RED, node, msg, r, rowCtx, sheet) {
-    return await resolveDynamic(RED, node, msg, r.rhs, r.rhsType, rowCtx, { sheet });
+
+  async function evalRuleNode(RED, rt, node, row, msg, sheet, r, diag, at, plan = null) {
+    if (isRuleGroup(r)) return await evalRuleGroup(RED, rt, node, row, msg, sheet, r, diag, at, plan);
+
+    const tr = (diag && diag.trace) ? { rule: at, op: r.op } : null;
+    if (tr) diag.trace.push(tr);
+    const ok = await evalRule(RED, rt, node, row, msg, sheet, r, tr, plan, diag && diag.report);
+    if (tr) tr.result = ok;
+    if (ok === false && diag && diag.fails) diag.fails.push(describeRule(r, at));
+    return ok;
   }
 
-  // Row filter evaluation (async) — supports multiple columns per rule
-  async function rowPasses(RED, rt, node, row, msg, sheet) {
-    if (!Array.isArray(rt.rules) || rt.rules.length === 0) return true;
+  // Compact rule description used in rejection annotations
+  function describeRule(r, at) {
+    if (isRuleGroup(r)) return { rule: at, group: r.logic, not: !!r.not };
+    const d = { rule: at, op: r.op };
+    if (r.op !== "jsonata") d.col = r.col;
+    d.rhs = r.rhs;
+    return d;
+  }
 
-    const evalRule = async (r) => {
-      if (!(await ruleAppliesTo(RED, rt, node, msg, r, sheet, row))) return true;
+  // Single rule evaluation — supports multiple columns per rule; null when its sheet scope does not apply.
+  // tr (optional trace entry) is filled with applies / cols / rhs / lhs[] / error; report: error policy hook.
+  async function evalRule(RED, rt, node, row, msg, sheet, r, tr = null, plan = null, report = null) {
+    const onError = (tr || report) ? (e, src) => {
+      if (tr) tr.error = String(e.message || e);
+      if (report) report(e, src);
+    } : null;
 
-      // JSONata rule (per-row expression)
-      if (r.op === "jsonata") {
-        try {
-          const ok = await evalJSONata(RED, node, sanitizeExpr(r.rhs || ""), { ...msg, row, sheet });
-          return !!ok;
-        } catch {
-          return false;
-        }
-      }
-
-      // Resolve possibly multiple columns for this rule
-      const colResolved = await resolveColumnName(RED, node, msg, r, row, sheet);
-      const colNames = ensureArray(colResolved).filter(c => c !== undefined && c !== null).map(String);
-
-      // No columns resolved -> treat as non-match (rule false)
-      if (colNames.length === 0) return false;
-
-      // Resolve RHS once
-      const rval = await resolveRHS(RED, node, msg, r, row, sheet);
-      const Rraw = r.coerce === false ? rval : coerceVal(rval);
-      const caseSensitive = !!r.caseSensitive;
-
-      // Helper to compare one L against R according to op
-      const compare = (L) => {
-        const Lc  = r.coerce === false ? L : coerceVal(L);
-        const Ls  = (typeof Lc === "string" && !caseSensitive) ? Lc.toLowerCase() : Lc;
-        const Rs  = (typeof Rraw === "string" && !caseSensitive) ? Rraw.toLowerCase() : Rraw;
-
-        switch (r.op) {
-          case "==": return Ls == Rs;
-          case "!=": return Ls != Rs;
-          case "<":  return Number(Lc) <  Number(Rraw);
-          case "<=": return Number(Lc) <= Number(Rraw);
-          case ">":  return Number(Lc) >  Number(Rraw);
-          case ">=": return Number(Lc) >= Number(Rraw);
-          case "contains":
-            if (typeof Ls !== "string" || typeof Rs !== "string") return false;
-            return Ls.includes(Rs);
-          case "!contains":
-            if (typeof Ls !== "string" || typeof Rs !== "string") return true;
-            return !Ls.includes(Rs);
-          case "regex":
-            try { return new RegExp(String(Rraw)).test(String(Lc)); } catch { return false; }
-          case "isEmpty":  return isEmpty(Lc);
-          case "!isEmpty": return !isEmpty(Lc);
-          default: return false;
-        }
-      };
+    const applies = await ruleAppliesTo(RED, rt, node, msg, r, sheet, row, onError, plan);
+    if (tr) tr.applies = applies;
+    if (!applies) return null;
+
+    // JSONata rule (per-row expression)
+    if (r.op === "jsonata") {
+      try {
+        const ok = await evalJSONata(RED, node, sanitizeExpr(r.rhs || ""), { ...msg, row, sheet });
+        if (tr) tr.rhs = ok;
+        return !!ok;
+      } catch (e) {
+        if (onError) onError(e, r.rhs);
+        return false;
+      }
+    }
 
-      // Rule passes if ANY of the listed columns satisfies the comparator
-      for (const cn of colNames) {
-        if (!Object.prototype.hasOwnProperty.call(row, cn)) continue;
-        if (compare(row[cn])) return true;
+    // Resolve possibly multiple columns for this rule
+    const colResolved = await resolveColumnName(RED, node, msg, r, row, sheet, onError, plan);
+    const colNames = ensureArray(colResolved).filter(c => c !== undefined && c !== null).map(String);
+    if (tr) tr.cols = colNames;
+
+    // No columns resolved -> treat as non-match (rule false)
+    if (colNames.length === 0) return false;
+
+    // Resolve RHS once
+    const rval = await resolveRHS(RED, node, msg, r, row, sheet, onError, plan);
+    const Rraw = r.coerce === false ? rval : coerceVal(rval);
+    const caseSensitive = !!r.caseSensitive;
+    const norm = (v) => {
+      const c = r.coerce === false ? v : coerceVal(v);
+      return (typeof c === "string" && !caseSensitive) ? c.toLowerCase() : c;
+    };
+    const rList  = (r.op === "in" || r.op === "!in") ? toValueList(rval).map(norm) : null;
+    const rRange = (r.op === "between" || r.op === "!between") ? splitRange(rval).map(x => Number(coerceVal(x))) : null;
+    if (tr) tr.rhs = rList || rRange || Rraw;
+
+    // Helper to compare one L against R according to op
+    const compare = (L) => {
+      if (DATE_OPS.has(r.op)) return compareDates(r.op, L, rval);
+
+      const Lc  = r.coerce === false ? L : coerceVal(L);
+      const Ls  = (typeof Lc === "string" && !caseSensitive) ? Lc.toLowerCase() : Lc;
+      const Rs  = (typeof Rraw === "string" && !caseSensitive) ? Rraw.toLowerCase() : Rraw;
+
+      switch (r.op) {
+        case "==": return Ls == Rs;
+        case "!=": return Ls != Rs;
+        case "<":  return Number(Lc) <  Number(Rraw);
+        case "<=": return Number(Lc) <= Number(Rraw);
+        case ">":  return Number(Lc) >  Number(Rraw);
+        case ">=": return Number(Lc) >= Number(Rraw);
+        case "contains":
+          if (typeof Ls !== "string" || typeof Rs !== "string") return false;
+          return Ls.includes(Rs);
+        case "!contains":
+          if (typeof Ls !== "string" || typeof Rs !== "string") return true;
+          return !Ls.includes(Rs);
+        case "regex":
+          try { return getRegex(node, Rraw).test(String(Lc)); } catch (e) { if (onError) onError(e, Rraw); return false; }
+        case "in":
+        case "!in": {
+          const hit = rList.some(x => x == Ls);
+          return r.op === "in" ? hit : !hit;
+        }
+        case "between":
+        case "!between": {
+          const [lo, hi] = rRange;
+          if (rRange.length < 2 || isNaN(lo) || isNaN(hi)) return false;
+          const n = isEmpty(Lc) ? NaN : Number(Lc);
+          const inside = !isNaN(n) && n >= Math.min(lo, hi) && n <= Math.max(lo, hi);
+          return r.op === "between" ? inside : !inside;
+        }
+        case "startsWith":
+        case "endsWith": {
+          // text compare on the raw cell so numeric-looking codes still match
+          if (L == null || rval == null) return false;
+          const a = caseSensitive ? String(L) : String(L).toLowerCase();
+          const b = caseSensitive ? String(rval) : String(rval).toLowerCase();
+          return r.op === "startsWith" ? a.startsWith(b) : a.endsWith(b);
+        }
+        case "isEmpty":  return isEmpty(Lc);
+        case "!isEmpty": return !isEmpty(Lc);
+        default: return false;
       }
-      return false;
     };
 
-    if (rt.filterLogic === "OR") {
-      for (const r of rt.rules) {
-        if (await evalRule(r)) return true;
+    // Rule passes if ANY of the listed columns satisfies the comparator
+    if (tr) tr.lhs = [];
+    for (const cn of colNames) {
+      if (!Object.prototype.hasOwnProperty.call(row, cn)) {
+        if (tr) tr.lhs.push({ col: cn, missing: true });
+        continue;
       }
-      return false;
-    } else {
-      for (const r of rt.rules) {
-        if (!(await evalRule(r))) return false;
-      }
-      return true;
+      const ok = compare(row[cn]);
+      if (tr) tr.lhs.push({ col: cn, value: r.coerce === false ? row[cn] : coerceVal(row[cn]), result: ok });
+      if (ok) return true;
     }
+    return false;
   }
 
   // Build set of columns for current sheet based on selectList (async for jsonata, supports arrays)
-  async function buildScopedColumnSet(RED, rt, node, msg, sheet, selectList) {
+  async function buildScopedColumnSet(RED, rt, node, msg, sheet, selectList, onError = null) {
     const set = new Set();
     for (const it of (selectList || [])) {
-      if (!(await ruleAppliesTo(RED, rt, node, msg, it, sheet, null))) continue;
-      const resolved = await resolveDynamic(RED, node, msg, it.col, it.colType, null, { sheet });
+      if (!(await ruleAppliesTo(RED, rt, node, msg, it, sheet, null, onError))) continue;
+      const resolved = await resolveDynamic(RED, node, msg, it.col, it.colType, null, { sheet }, onError);
       const cols = ensureArray(resolved).map(c => String(c));
       for (const col of cols) if (col) set.add(col);
     }
     return set;
   }
 
+  // Tolerant header lookup (exact, else trim+case-insensitive)
+  function findColumn(keys, wantRaw) {
+    const want = String(wantRaw);
+    let k = keys.find(x => x === want);
+    if (!k) {
+      const wantN = want.trim().toLowerCase();
+      k = keys.find(x => x.trim().toLowerCase() === wantN);
+    }
+    return k;
+  }
+
   // Tolerant keep/drop (exact, else trim+case-insensitive)
   function pickSet(row, set) {
     const out = {};
     const keys = Object.keys(row);
     for (const wantRaw of set) {
-      const want = String(wantRaw);
-      let k = keys.find(x => x === want);
-      if (!k) {
-        const wantN = want.trim().toLowerCase();
-        k = keys.find(x => x.trim().toLowerCase() === wantN);
-      }
+      const k = findColumn(keys, wantRaw);
       if (k) out[k] = row[k];
     }
     return out;
@@ -658,14 +2765,263 @@ module.exports = function(RED) {
     return out;
   }
 
+  // JOIN: enrich rows with columns from a lookup sheet (same file when lookupFile is empty).
+  // Entry: { sheetScope, sheetScopeType, lookupFile, lookupSheet, leftKeys[], rightKeys[], mode, prefix, columns[], caseSensitive }
+  // mode: inner (drop unmatched) | left (keep unmatched) | anti (keep only unmatched). First lookup match wins.
+  async function applyJoins(RED, rt, node, msg, data, file, sheet, rows, list, cache, onError = null) {
+    let out = rows;
+    for (const j of list) {
+      if (!j || !j.lookupSheet) continue;
+      if (!(await ruleAppliesTo(RED, rt, node, msg, j, sheet, null, onError))) continue;
+
+      const leftKeys  = toColumnList(j.leftKeys);
+      const rightKeys = toColumnList(j.rightKeys).length ? toColumnList(j.rightKeys) : leftKeys;
+      if (!leftKeys.length || leftKeys.length !== rightKeys.length) continue;
+
+      const lookupFile = j.lookupFile ? findFileKey(data, j.lookupFile) : file;
+      const index = getLookupIndex(node, data, lookupFile, j.lookupSheet, rightKeys, !!j.caseSensitive, cache, rt.headers.enabled ? rt.headers : null);
+      const mode = j.mode || "left";
+      const only = toColumnList(j.columns);
+      const prefix = j.prefix || "";
+
+      const joined = [];
+      for (const row of out) {
+        const key = joinKey(row, leftKeys, !!j.caseSensitive);
+        const match = key !== null ? index.get(key) : undefined;
+        if (mode === "anti") {
+          if (!match) joined.push(row);
+          continue;
+        }
+        if (!match) {
+          if (mode === "left") joined.push(row);
+          continue;
+        }
+        const merged = { ...row };
+        const matchKeys = Object.keys(match);
+        const skip = new Set(rightKeys.map(k => findColumn(matchKeys, k)));
+        const take = only.length ? only.map(c => findColumn(matchKeys, c)).filter(Boolean) : matchKeys;
+        for (const k of take) {
+          if (skip.has(k)) continue;
+          const name = prefix + k;
+          if (!Object.prototype.hasOwnProperty.call(merged, name)) merged[name] = match[k];
+        }
+        joined.push(merged);
+      }
+      out = joined;
+    }
+    return out;
+  }
+
+  // VALIDATE: check rows against the checks of a validation step. Every violation is recorded in
+  // run.validation with file/sheet/row index/column/reason; the step's action then flags (_invalid),
+  // drops the row, or fails the message on the first invalid row.
+  function validateRows(node, run, sheetCtx, st, rows, onError = null) {
+    const v = run.validation;
+    const kept = [];
+    for (const row of rows) {
+      const index = row[ROW_INDEX] ?? null;
+      sheetCtx.where.row = index;
+      v.checked++;
+
+      const found = [];
+      for (const { it, cols } of st.checks) {
+        for (const col of cols) {
+          const bad = checkValue(node, it, row, col, st.seen, onError);
+          if (bad) found.push({ col, check: bad[0], reason: bad[1] });
+        }
+      }
+      if (!found.length) { kept.push(row); continue; }
+
+      v.invalid++;
+      for (const f of found) v.violations.push({ file: sheetCtx.file, sheet: sheetCtx.sheet, row: index, ...f });
+      if (st.action === "fail") {
+        const f = found[0];
+        throw new Error(`Validation failed: ${sheetCtx.file} / ${sheetCtx.sheet}, row ${index}, column "${f.col}": ${f.reason}`);
+      }
+      if (st.action !== "drop") kept.push({ ...row, _invalid: found });
+    }
+    return kept;
+  }
+
+  // One column of one row against one check entry -> [check, reason] or null.
+  // Empty cells only fail `required`; the other checks apply to non-empty values.
+  // An invalid pattern goes to the error policy (the pattern check is then skipped).
+  function checkValue(node, it, row, colName, seen, onError = null) {
+    const key = findColumn(Object.keys(row), colName);
+    const v = key ? row[key] : undefined;
+    if (isEmpty(v)) return it.required ? ["required", key ? "empty value" : "missing column"] : null;
+
+    const c = coerceVal(v);
+    switch (it.type) {
+      case "number": if (typeof c !== "number") return ["type", `not a number: ${v}`]; break;
+      case "string": if (typeof v !== "string") return ["type", `not a string: ${v}`]; break;
+      case "bool":   if (typeof c !== "boolean") return ["type", `not a boolean: ${v}`]; break;
+      case "date":   if (isNaN(toTime(v))) return ["type", `not a date: ${v}`]; break;
+    }
+
+    if (it.pattern) {
+      try {
+        if (!getRegex(node, it.pattern).test(String(v))) return ["pattern", `does not match ${it.pattern}`];
+      } catch (e) {
+        if (onError) onError(e, it.pattern);
+      }
+    }
+
+    const allowed = toValueList(it.allowed);
+    if (allowed.length && !allowed.some(a => coerceVal(a) == c)) return ["allowed", `not an allowed value: ${v}`];
+
+    // min/max: numeric, or chronological when type is date
+    if (!isEmpty(it.min) || !isEmpty(it.max)) {
+      const num = (x) => it.type === "date" ? toTime(x) : Number(coerceVal(x));
+      const n = num(v);
+      if (isNaN(n)) return ["range", `not comparable: ${v}`];
+      if (!isEmpty(it.min) && n < num(it.min)) return ["min", `below minimum ${it.min}: ${v}`];
+      if (!isEmpty(it.max) && n > num(it.max)) return ["max", `above maximum ${it.max}: ${v}`];
+    }
+
+    // unique: per sheet and check entry
+    if (it.unique) {
+      let byCol = seen.get(it);
+      if (!byCol) seen.set(it, byCol = new Map());
+      let set = byCol.get(colName);
+      if (!set) byCol.set(colName, set = new Set());
+      const k = typeof c === "string" ? c.trim() : String(c);
+      if (set.has(k)) return ["unique", `duplicate value: ${v}`];
+      set.add(k);
+    }
+    return null;
+  }
+
+  // UNPIVOT (melt): each listed column of a row becomes its own row { ...ids, key: column, value: cell }.
+  // ids: the listed id columns, or every column that is not melted. Rows without any listed column pass as-is.
+  function unpivotRows(rows, melt) {
+    const { it, cols, ids } = melt;
+    const keyName = it.keyName || "key";
+    const valueName = it.valueName || "value";
+    const out = [];
+    for (const row of rows) {
+      const keys = Object.keys(row);
+      const meltKeys = cols.map(c => findColumn(keys, c)).filter(Boolean);
+      if (!meltKeys.length) { out.push(row); continue; }
+
+      const base = {};
+      if (ids.length) {
+        for (const c of ids) {
+          const k = findColumn(keys, c);
+          if (k) base[k] = row[k];
+        }
+      } else {
+        for (const k of keys) if (!meltKeys.includes(k)) base[k] = row[k];
+      }
+      for (const k of meltKeys) {
+        if (it.dropEmpty && isEmpty(row[k])) continue;
+        const o = { ...base, [keyName]: k, [valueName]: row[k] };
+        if (ROW_INDEX in row) o[ROW_INDEX] = row[ROW_INDEX]; // the row it came from
+        out.push(o);
+      }
+    }
+    return out;
+  }
+
+  // PIVOT: spread the values of keyCol into columns holding valueCol, one row per id combination.
+  // Collisions are combined with fn (aggregate functions, default first); missing cells are null.
+  function pivotRows(rows, p) {
+    const ids = toColumnList(p.idCols);
+    const prefix = p.prefix || "";
+    const groups = new Map();
+    const newCols = [];
+    for (const row of rows) {
+      const keys = Object.keys(row);
+      const kk = findColumn(keys, p.keyCol);
+      const vk = findColumn(keys, p.valueCol);
+
+      const idVals = {};
+      if (ids.length) {
+        for (const c of ids) {
+          const k = findColumn(keys, c);
+          idVals[k || c] = k ? row[k] : null;
+        }
+      } else {
+        for (const k of keys) if (k !== kk && k !== vk) idVals[k] = row[k];
+      }
+      const gk = JSON.stringify(Object.entries(idVals));
+      let g = groups.get(gk);
+      if (!g) { g = { idVals, cells: new Map() }; groups.set(gk, g); }
+
+      if (!kk || isEmpty(row[kk])) continue;
+      const name = prefix + String(row[kk]).trim();
+      if (!newCols.includes(name)) newCols.push(name);
+      if (!g.cells.has(name)) g.cells.set(name, []);
+      g.cells.get(name).push({ v: vk ? row[vk] : undefined });
+    }
+
+    const spec = { col: "v", fn: p.fn || "first", sep: p.sep };
+    const out = [];
+    for (const g of groups.values()) {
+      const o = { ...g.idVals };
+      for (const name of newCols) {
+        if (Object.prototype.hasOwnProperty.call(o, name)) continue; // never overwrite an id column
+        o[name] = g.cells.has(name) ? aggregateValues(spec, g.cells.get(name)) : null;
+      }
+      out.push(o);
+    }
+    return out;
+  }
+
+  // Accept arrays or comma-separated strings for column lists
+  function toColumnList(v) {
+    const arr = Array.isArray(v) ? v : (typeof v === "string" ? v.split(",") : []);
+    return arr.map(s => String(s).trim()).filter(Boolean);
+  }
+
+  // Lookup file by exact key, else by base name (reader keys are often full paths)
+  function findFileKey(data, name) {
+    if (Object.prototype.hasOwnProperty.call(data, name)) return name;
+    const want = path.basename(String(name)).toLowerCase();
+    return Object.keys(data).find(f => path.basename(f).toLowerCase() === want);
+  }
+
+  // Key tuple with tolerant column lookup; null when any key value is empty
+  function joinKey(row, cols, caseSensitive) {
+    const keys = Object.keys(row);
+    const vals = [];
+    for (const c of cols) {
+      const k = findColumn(keys, c);
+      const v = k !== undefined ? row[k] : undefined;
+      if (isEmpty(v)) return null;
+      const s = String(v).trim();
+      vals.push(caseSensitive ? s : s.toLowerCase());
+    }
+    return JSON.stringify(vals);
+  }
+
+  // Lookup rows get the same header normalization as the sheets they enrich (headers: rt.headers when enabled)
+  function getLookupIndex(node, data, file, sheet, cols, caseSensitive, cache, headers = null) {
+    const cacheKey = JSON.stringify([file, sheet, cols, caseSensitive]);
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+    const index = new Map();
+    let rows = file !== undefined ? (data[file] || {})[sheet] : undefined;
+    rows = Array.isArray(rows) ? rows : [];
+    if (headers) {
+      const hm = buildHeaderMap(headers, node, rows);
+      if (hm.changed) rows = rows.map(r => r && typeof r === "object" ? renameHeaders(headers, hm.map, r) : r);
+    }
+    for (const r of rows) {
+      const key = joinKey(r, cols, caseSensitive);
+      if (key !== null && !index.has(key)) index.set(key, r);
+    }
+    cache.set(cacheKey, index);
+    return index;
+  }
+
   // RENAME using list entries (sheet-scoped + dynamic from/to) — supports arrays
-  async function renameWithList(RED, rt, node, row, msg, sheet, list) {
+  async function renameWithList(RED, rt, node, row, msg, sheet, list, plan = null, onError = null) {
     let out = { ...row };
     for (const it of (list || [])) {
-      if (!(await ruleAppliesTo(RED, rt, node, msg, it, sheet, row))) continue;
+      if (!(await ruleAppliesTo(RED, rt, node, msg, it, sheet, row, onError, plan))) continue;
 
-      const fromRes = await resolveDynamic(RED, node, msg, it.from, it.fromType, row, { sheet });
-      const toRes   = await resolveDynamic(RED, node, msg, it.to,   it.toType,   row, { sheet });
+      const fromRes = await planned(node, plan, it, "from", (onErr) => resolveDynamic(RED, node, msg, it.from, it.fromType, row, { sheet }, onErr), onError);
+      const toRes   = await planned(node, plan, it, "to",   (onErr) => resolveDynamic(RED, node, msg, it.to,   it.toType,   row, { sheet }, onErr), onError);
 
       const fromArr = ensureArray(fromRes).map(s => String(s));
       const toArr   = ensureArray(toRes).map(s => String(s));
@@ -687,23 +3043,403 @@ module.exports = function(RED) {
     return out;
   }
 
-  // Conditional (message-level) — async
-  async function conditionTrue(RED, rt, node, msg) {
+  // Union of row keys, first-seen order
+  function rowColumns(rows) {
+    const cols = new Set();
+    for (const r of (Array.isArray(rows) ? rows : [])) if (r && typeof r === "object" && !Array.isArray(r)) for (const k of Object.keys(r)) cols.add(k);
+    return Array.from(cols);
+  }
+
+  // AGGREGATE: group rows by the given columns and compute one output row per group.
+  // Each list entry: { col, fn, as, sep }. fn: count|sum|avg|min|max|first|last|distinctCount|concat
+  function aggregateRows(rows, groupCols, list) {
+    // Column names match tolerantly, resolved once against the headers of these rows
+    const headers = rowColumns(rows);
+    const resolve = (c) => findColumn(headers, c) ?? String(c);
+    const groupKeys = groupCols.map(resolve);
+    const groups = new Map();
+    for (const row of rows) {
+      const keyVals = groupKeys.map(k => row[k]);
+      const key = JSON.stringify(keyVals);
+      let g = groups.get(key);
+      if (!g) { g = { keyVals, rows: [] }; groups.set(key, g); }
+      g.rows.push(row);
+    }
+
+    const out = [];
+    for (const g of groups.values()) {
+      const o = {};
+      groupKeys.forEach((k, i) => { o[k] = g.keyVals[i]; });
+      for (const a of (list || [])) {
+        if (!a || !a.fn) continue;
+        const name = a.as || (a.col ? `${a.fn}_${a.col}` : a.fn);
+        o[name] = aggregateValues(a, g.rows, a.col ? resolve(a.col) : "");
+      }
+      out.push(o);
+    }
+    return out;
+  }
+
+  function aggregateValues(a, rows, col = a.col ? String(a.col) : "") {
+    if (a.fn === "count" && !col) return rows.length;
+
+    const vals = rows.map(r => r[col]);
+    const present = vals.filter(v => !isEmpty(v));
+    const nums = present.map(coerceVal).filter(v => typeof v === "number" && !isNaN(v));
+
+    switch (a.fn) {
+      case "count":         return present.length;
+      case "sum":           return nums.reduce((s, n) => s + n, 0);
+      case "avg":           return nums.length ? nums.reduce((s, n) => s + n, 0) / nums.length : null;
+      case "min":
+      case "max": {
+        if (!present.length) return null;
+        // numeric when every value is numeric, else plain string ordering
+        const vs = nums.length === present.length ? nums : present.map(String);
+        return vs.reduce((m, v) => (a.fn === "min" ? (v < m ? v : m) : (v > m ? v : m)));
+      }
+      case "first":         return vals.length ? vals[0] : null;
+      case "last":          return vals.length ? vals[vals.length - 1] : null;
+      case "distinctCount": return new Set(present.map(v => JSON.stringify(coerceVal(v)))).size;
+      case "concat":        return present.map(String).join(a.sep ?? ", ");
+      default:              return null;
+    }
+  }
+
+  // ORDER: de-duplicate, then sort, then apply offset/limit
+  function orderRows(rows, rt) {
+    let out = rows;
+
+    if (rt.dedupe.enabled) {
+      const keyCols = toColumnList(rt.dedupe.keys);
+      const seen = new Map(); // key -> index of kept row
+      const kept = [];
+      for (const r of out) {
+        const k = rowKey(r, keyCols);
+        if (!seen.has(k)) { seen.set(k, kept.length); kept.push(r); }
+        else if (rt.dedupe.keep === "last") kept[seen.get(k)] = r;
+      }
+      out = kept;
+    }
+
+    const sorts = rt.sortList.filter(s => s && s.col);
+    if (sorts.length) {
+      out = out.slice().sort((a, b) => {
+        for (const s of sorts) {
+          const c = compareSortValues(pickColumn(a, s.col), pickColumn(b, s.col), s.type || "auto", s.dir === "desc");
+          if (c !== 0) return c;
+        }
+        return 0;
+      });
+    }
+
+    const offset = Math.max(0, rt.paging.offset || 0);
+    const limit  = Math.max(0, rt.paging.limit || 0);
+    if (offset || limit) out = out.slice(offset, limit ? offset + limit : undefined);
+    return out;
+  }
+
+  // Identity of a row for dedupe and diff: its key columns (tolerant lookup), or the whole row without keys
+  function rowKey(r, keyCols) {
+    if (!keyCols.length) return JSON.stringify(r);
+    const keys = Object.keys(r);
+    return JSON.stringify(keyCols.map(c => { const k = findColumn(keys, c); return k !== undefined ? r[k] : undefined; }));
+  }
+
+  // ---------- Diff against the previous run ----------
+  const DIFF_CONTEXT_KEY = "xlsxFilterDiff";
+
+  // Node context get/set through the callback form, so persistent stores work too
+  function contextCall(ctx, fn, args, store) {
+    return new Promise((resolve, reject) => {
+      const cb = (err, v) => err ? reject(err) : resolve(v);
+      if (store) ctx[fn](...args, store, cb);
+      else ctx[fn](...args, cb);
+    });
+  }
+
+  // Messages overlap at every await: each one waits for the previous one's release() before it
+  // loads the snapshot, so two runs never compare against (and then save over) the same one
+  async function diffTurn(node) {
+    const before = node.diffQueue;
+    let release;
+    const mine = new Promise(resolve => { release = resolve; });
+    node.diffQueue = before ? before.then(() => mine) : mine;
+    if (before) await before;
+    return release;
+  }
+
+  // Stored snapshot: { savedAt, data: { file: { sheet: rows[] } } }. Sheets missing from a run keep their rows.
+  // The caller calls release() once the message is finished (saved or failed).
+  async function loadDiff(node, rt) {
+    const release = await diffTurn(node);
+    let stored;
+    try {
+      stored = await contextCall(node.context(), "get", [DIFF_CONTEXT_KEY], rt.diff.store);
+    } catch (e) {
+      release();
+      throw e;
+    }
+    const prev = isPlainObject(stored?.data) ? stored.data : {};
+    const next = {};
+    for (const [file, sheets] of Object.entries(prev)) next[file] = { ...sheets };
+    return {
+      prev, next, release,
+      summary: { previousAt: stored?.savedAt || null, savedAt: null, added: 0, changed: 0, removed: 0, unchanged: 0, sheets: [] }
+    };
+  }
+
+  async function saveDiff(node, rt, diff) {
+    diff.summary.savedAt = nowISOString();
+    await contextCall(node.context(), "set", [DIFF_CONTEXT_KEY, { savedAt: diff.summary.savedAt, data: diff.next }], rt.diff.store);
+  }
+
+  // Rows matched by key (the n-th duplicate of a key pairs with the n-th one of the previous run).
+  // Output: added and changed rows in their current order, then removed rows as they were;
+  // _diff tells which, _changes lists [{column, old, new}] of a changed row
+  function diffSheet(diff, file, sheet, rows, keyCols) {
+    const old = new Map(keyedRows(diff.prev[file]?.[sheet] || [], keyCols));
+    const counts = { file, sheet, added: 0, changed: 0, removed: 0, unchanged: 0 };
+    const out = [];
+    for (const [k, r] of keyedRows(rows, keyCols)) {
+      if (!old.has(k)) {
+        counts.added++;
+        out.push({ _diff: "added", ...r });
+        continue;
+      }
+      const changes = rowChanges(old.get(k), r);
+      old.delete(k);
+      if (!changes.length) { counts.unchanged++; continue; }
+      counts.changed++;
+      out.push({ _diff: "changed", ...r, _changes: changes });
+    }
+    for (const r of old.values()) {
+      counts.removed++;
+      out.push({ _diff: "removed", ...r });
+    }
+    (diff.next[file] = diff.next[file] || {})[sheet] = deepClone(rows);
+    for (const k of ["added", "changed", "removed", "unchanged"]) diff.summary[k] += counts[k];
+    diff.summary.sheets.push(counts);
+    return out;
+  }
+
+  function keyedRows(rows, keyCols) {
+    const seen = new Map();
+    return rows.map(r => {
+      const k = rowKey(r, keyCols);
+      const n = (seen.get(k) || 0) + 1;
+      seen.set(k, n);
+      return [n > 1 ? `${k}#${n}` : k, r];
+    });
+  }
+
+  // Values compared as JSON, so a Date matches the ISO string a persistent store gives back
+  function rowChanges(before, after) {
+    const changes = [];
+    for (const column of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (JSON.stringify(before[column]) !== JSON.stringify(after[column])) {
+        changes.push({ column, old: before[column], new: after[column] });
+      }
+    }
+    return changes;
+  }
+
+  function diffStatus(diff) {
+    if (!diff) return "";
+    const d = diff.summary;
+    return `, +${d.added} ~${d.changed} -${d.removed}`;
+  }
+
+  function pickColumn(row, col) {
+    const k = findColumn(Object.keys(row), col);
+    return k !== undefined ? row[k] : undefined;
+  }
+
+  // Sort comparator. Empty values always go last; type: auto|number|string|date
+  function compareSortValues(a, b, type, desc) {
+    const ea = isEmpty(a), eb = isEmpty(b);
+    if (ea || eb) return ea === eb ? 0 : (ea ? 1 : -1);
+
+    let c;
+    if (type === "number") {
+      c = compareNumbers(Number(coerceVal(a)), Number(coerceVal(b)));
+    } else if (type === "date") {
+      c = compareNumbers(toTime(a), toTime(b));
+    } else if (type === "string") {
+      c = String(a).localeCompare(String(b));
+    } else {
+      const A = coerceVal(a), B = coerceVal(b);
+      if (typeof A === "number" && typeof B === "number") c = A - B;
+      else if (isDateLike(A) && isDateLike(B)) c = compareNumbers(toTime(A), toTime(B));
+      else c = String(A).localeCompare(String(B));
+    }
+    return desc ? -c : c;
+  }
+
+  // Only Date objects and ISO-looking strings are treated as dates in "auto" mode
+  function isDateLike(v) {
+    return v instanceof Date || (typeof v === "string" && /^\d{4}-\d{2}-\d{2}/.test(v.trim()));
+  }
+
+  // NaN sorts after real numbers
+  function compareNumbers(a, b) {
+    const na = isNaN(a), nb = isNaN(b);
+    if (na || nb) return na === nb ? 0 : (na ? 1 : -1);
+    return a - b;
+  }
+
+  // ---------- dates: Excel serials, ISO / locale strings, relative values ("today-7d") ----------
+  const DATE_OPS = new Set(["before", "after", "dateBetween", "withinLast", "withinNext", "sameDay", "sameMonth", "sameYear"]);
+
+  // Date value -> epoch ms (NaN when not a date). Dates without a zone are local time.
+  function toTime(v) {
+    if (v instanceof Date) return v.getTime();
+    if (typeof v === "number") return numberToTime(v);
+    if (typeof v !== "string") return NaN;
+
+    const t = v.trim();
+    if (t === "") return NaN;
+    if (!isNaN(t)) return numberToTime(Number(t));
+
+    const rel = parseRelativeDate(t);
+    if (!isNaN(rel)) return rel;
+
+    // yyyy-mm-dd / yyyy/mm/dd [hh:mm[:ss]] (no zone -> local)
+    let m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/.exec(t);
+    if (m) return localTime(+m[1], +m[2], +m[3], m[4], m[5], m[6]);
+
+    // dd/mm/yyyy, dd.mm.yyyy, dd-mm-yy [hh:mm[:ss]] — day first unless only month-first is valid
+    m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(t);
+    if (m) {
+      let day = +m[1], mon = +m[2];
+      if (mon > 12 && day <= 12) { day = +m[2]; mon = +m[1]; }
+      const y = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+      return localTime(y, mon, day, m[4], m[5], m[6]);
+    }
+
+    return Date.parse(t); // ISO with zone, RFC 2822, "Mar 5 2024", ...
+  }
+
+  function localTime(y, mon, day, hh, mm, ss) {
+    if (mon < 1 || mon > 12 || day < 1 || day > 31) return NaN;
+    const d = new Date(y, mon - 1, day, Number(hh) || 0, Number(mm) || 0, Number(ss) || 0);
+    return d.getMonth() === mon - 1 ? d.getTime() : NaN; // reject 31/02 etc.
+  }
+
+  // Small numbers are Excel serial dates (local midnight + fraction of day); huge ones are epoch ms.
+  // A whole number 1000–9999 is a year (1 January, local), not a serial of 1902–1927.
+  function numberToTime(n) {
+    if (!isFinite(n)) return NaN;
+    if (Math.abs(n) > 1e10) return n;
+    if (Number.isInteger(n) && n >= 1000 && n <= 9999) return new Date(n, 0, 1).getTime();
+    return excelSerialToTime(n);
+  }
+
+  function excelSerialToTime(n) {
+    // 25569 = days between 1899-12-30 (Excel epoch, incl. the 1900 leap-year bug) and 1970-01-01
+    const utc = Math.round((n - 25569) * 86400000);
+    return utc + new Date(utc).getTimezoneOffset() * 60000;
+  }
+
+  // now | today | yesterday | tomorrow, followed by any number of [+-]N(y|mo|w|d|h|min)
+  function parseRelativeDate(s) {
+    const m = /^(now|today|yesterday|tomorrow)((?:\s*[+-]\s*\d+\s*(?:y|mo|w|d|h|min))*)$/i.exec(String(s).trim());
+    if (!m) return NaN;
+    const d = new Date();
+    const word = m[1].toLowerCase();
+    if (word !== "now") d.setHours(0, 0, 0, 0);
+    if (word === "yesterday") d.setDate(d.getDate() - 1);
+    if (word === "tomorrow") d.setDate(d.getDate() + 1);
+    const re = /([+-])\s*(\d+)\s*(y|mo|w|d|h|min)/gi;
+    let t;
+    while ((t = re.exec(m[2]))) shiftDate(d, (t[1] === "-" ? -1 : 1) * Number(t[2]), t[3].toLowerCase());
+    return d.getTime();
+  }
+
+  function shiftDate(d, n, unit) {
+    switch (unit) {
+      case "y":   d.setFullYear(d.getFullYear() + n); break;
+      case "mo":  d.setMonth(d.getMonth() + n); break;
+      case "w":   d.setDate(d.getDate() + 7 * n); break;
+      case "d":   d.setDate(d.getDate() + n); break;
+      case "h":   d.setHours(d.getHours() + n); break;
+      case "min": d.setMinutes(d.getMinutes() + n); break;
+    }
+    return d;
+  }
+
+  // "7" / 7 (days), "7d", "2w", "3mo", "1y", "12h", "30min" -> { n, unit }
+  function parseDuration(v) {
+    const m = /^(\d+(?:\.\d+)?)\s*(y|mo|w|d|h|min)?$/i.exec(String(v ?? "").trim());
+    return m ? { n: Number(m[1]), unit: (m[2] || "d").toLowerCase() } : null;
+  }
+
+  // Two bounds from an array, "a..b" or "a,b"
+  function splitRange(v) {
+    if (Array.isArray(v)) return v.slice(0, 2);
+    const s = String(v ?? "");
+    const parts = s.includes("..") ? s.split("..") : s.split(/[,;]/);
+    return parts.slice(0, 2).map(x => x.trim());
+  }
+
+  function compareDates(op, L, R) {
+    const lt = toTime(L);
+    if (isNaN(lt)) return false;
+
+    switch (op) {
+      case "before": { const r = toTime(R); return !isNaN(r) && lt < r; }
+      case "after":  { const r = toTime(R); return !isNaN(r) && lt > r; }
+      case "dateBetween": {
+        const [a, b] = splitRange(R).map(toTime);
+        if (isNaN(a) || isNaN(b)) return false;
+        return lt >= Math.min(a, b) && lt <= Math.max(a, b);
+      }
+      case "withinLast":
+      case "withinNext": {
+        const dur = parseDuration(R);
+        if (!dur) return false;
+        // day-based units cover whole days (today included); h/min are exact from now
+        const exact = dur.unit === "h" || dur.unit === "min";
+        const from = new Date(), to = new Date();
+        if (!exact) { from.setHours(0, 0, 0, 0); to.setHours(23, 59, 59, 999); }
+        if (op === "withinLast") shiftDate(from, -dur.n, dur.unit);
+        else shiftDate(to, dur.n, dur.unit);
+        return lt >= from.getTime() && lt <= to.getTime();
+      }
+      case "sameDay":
+      case "sameMonth":
+      case "sameYear": {
+        const r = toTime(R);
+        if (isNaN(r)) return false;
+        const a = new Date(lt), b = new Date(r);
+        if (a.getFullYear() !== b.getFullYear()) return false;
+        if (op === "sameYear") return true;
+        if (a.getMonth() !== b.getMonth()) return false;
+        return op === "sameMonth" || a.getDate() === b.getDate();
+      }
+      default: return false;
+    }
+  }
+
+  // Conditional (message-level) — async. cond: the conditional rename section or a pipeline step
+  async function conditionTrue(RED, node, msg, cond, onError = null) {
     try {
-      const lhsVal = await resolveDynamic(RED, node, msg, rt.conditionalRename.whenLhs, rt.conditionalRename.whenLhsType);
-      const rhsVal = await resolveDynamic(RED, node, msg, rt.conditionalRename.rhs, rt.conditionalRename.rhsType);
+      const lhsVal = await resolveDynamic(RED, node, msg, cond.whenLhs ?? "", cond.whenLhsType || "msg", undefined, {}, onError);
+      const rhsVal = await resolveDynamic(RED, node, msg, cond.rhs ?? "", cond.rhsType || "str", undefined, {}, onError);
+      const op = cond.op || "==";
+      if (DATE_OPS.has(op)) return compareDates(op, lhsVal, rhsVal);
       const L = coerceVal(lhsVal);
       const R = coerceVal(rhsVal);
-      switch (rt.conditionalRename.op) {
+      switch (op) {
         case "==": return L == R;
         case "!=": return L != R;
         case "contains":   return (typeof L === "string" && typeof R === "string") ? L.includes(R) : false;
         case "!contains":  return (typeof L === "string" && typeof R === "string") ? !L.includes(R) : true;
-        case "regex":      try { return new RegExp(String(R)).test(String(L)); } catch { return false; }
+        case "regex":      try { return getRegex(node, R).test(String(L)); } catch (e) { if (onError) onError(e, R); return false; }
         case "isEmpty":    return isEmpty(L);
         case "!isEmpty":   return !isEmpty(L);
         default:           return false;
       }
-    } catch { return false; }
+    } catch (e) { if (onError) onError(e); return false; }
   }
 };